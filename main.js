@@ -1,93 +1,368 @@
-import { EditorState } from '@codemirror/state';
-import { EditorView, keymap, lineNumbers, highlightActiveLineGutter, highlightActiveLine, drawSelection } from '@codemirror/view';
-import { defaultKeymap, history, historyKeymap } from '@codemirror/commands';
+import { EditorState, EditorSelection, Compartment } from '@codemirror/state';
+import { EditorView, keymap, highlightActiveLine, drawSelection } from '@codemirror/view';
+import { defaultKeymap } from '@codemirror/commands';
 import { bracketMatching, foldGutter, foldKeymap } from '@codemirror/language';
 import { markdown } from '@codemirror/lang-markdown';
-import { oneDark } from '@codemirror/theme-one-dark';
+import { yamlFrontmatter } from '@codemirror/lang-yaml';
+import { languages } from '@codemirror/language-data';
+import { mermaidLanguageDescription } from 'codemirror-lang-mermaid';
+import { linter, lintGutter, lintKeymap, forceLinting, openLintPanel, closeLintPanel } from '@codemirror/lint';
 
-import { Editor, rootCtx, defaultValueCtx, editorViewCtx, parserCtx, serializerCtx } from '@milkdown/core';
-import { commonmark } from '@milkdown/preset-commonmark';
+import { Editor, rootCtx, defaultValueCtx, editorViewCtx, serializerCtx, remarkCtx, schemaCtx } from '@milkdown/core';
+import { commonmark, imageSchema, headingIdGenerator } from '@milkdown/preset-commonmark';
 import { gfm } from '@milkdown/preset-gfm';
 import { listener, listenerCtx } from '@milkdown/plugin-listener';
 import { nord } from '@milkdown/theme-nord';
-import { history as milkdownHistory } from '@milkdown/plugin-history';
-
-// Initial markdown content
-const initialContent = `# Welcome to the Dual-Pane Markdown Editor
-
-This editor features **bidirectional sync** between CodeMirror (source view) and Milkdown (rich view).
-
-## Features
-
-- 📝 **CodeMirror**: Raw markdown editing with syntax highlighting
-- 🎨 **Milkdown**: Rich WYSIWYG editing experience
-- 🔄 **Bidirectional Sync**: Changes in one editor automatically update the other
-- ⚡ **Real-time Updates**: Instant synchronization between panes
-
-## Try it out!
-
-1. Edit text in either pane
-2. Watch it sync automatically
-3. Use markdown syntax:
-   - **Bold text**
-   - *Italic text*
-   - \`inline code\`
+import { TextSelection } from '@milkdown/prose/state';
+import { keymap as proseKeymap } from '@milkdown/prose/keymap';
+import { $prose } from '@milkdown/utils';
+
+import { diffText, diffDocs } from './src/diff.js';
+import { parseTree, parseMarkdown, assignHeadingIds, buildPositionMap } from './src/position-map.js';
+import { buildScrollAnchors, mapScrollTop } from './src/scroll-sync.js';
+import { createSyncCoordinator } from './src/sync-coordinator.js';
+import {
+    createDocument,
+    isModified,
+    loadWorkspace,
+    saveDocument,
+    removeDocument,
+    saveSession,
+    uniqueName
+} from './src/workspace.js';
+import {
+    openMarkdownFile,
+    readMarkdownFile,
+    saveMarkdownFile,
+    downloadFile,
+    getDroppedMarkdownFile,
+    hasDraggedFiles
+} from './src/files.js';
+import { exportHtml, printHtml } from './src/export.js';
+import {
+    getImageFiles,
+    storeAsset,
+    loadAsset,
+    resolveImageUrl,
+    imageMarkdown,
+    altText,
+    imageView,
+    configureImageSchema
+} from './src/assets.js';
+import { frontMatter, frontMatterErrorField } from './src/front-matter.js';
+import { math, mathSyntax } from './src/math.js';
+import { mermaidPlugin } from './src/mermaid.js';
+import { slashMenu, configureSlashMenu } from './src/slash-menu.js';
+import { formatToolbar, configureFormatToolbar } from './src/format-toolbar.js';
+import { blockHandle, configureBlockHandle } from './src/block-handle.js';
+import { buildOutline, sectionAt, moveSection, updateToc } from './src/outline.js';
+import {
+    isValidPreference,
+    normalizePreferences,
+    normalizeLayout,
+    loadSettings,
+    saveSettings,
+    resolveTheme,
+    systemColorScheme,
+    codemirrorPreferences
+} from './src/settings.js';
+import {
+    lintMarkdown,
+    documentLintRules,
+    refreshLint,
+    lintMarkerKey,
+    lintMarkerPlugin
+} from './src/lint.js';
+import {
+    findMatches,
+    expandReplacement,
+    setSearchMatches,
+    searchMatchField,
+    searchHighlightKey,
+    searchHighlightPlugin
+} from './src/search.js';
+import { serializeLossless, checkRoundTrip } from './src/lossless.js';
+import { syncAnnotation, isSyncUpdate, syncMetaKey, localChangePlugin } from './src/sync-annotations.js';
+import {
+    setSourceHighlight,
+    sourceHighlightField,
+    blockHighlightKey,
+    blockHighlightPlugin
+} from './src/block-highlight.js';
+
+// Markup of a single editor instance, mounted into the host container
+const editorTemplate = `
+    <div class="editor-header">
+        <div class="toolbar">
+            <button class="btn active" data-command="sidebar" title="Show or hide the workspace">Files</button>
+            <button class="btn" data-command="open" title="Open a markdown file (Ctrl+O)">Open</button>
+            <button class="btn" data-command="save" title="Download as a markdown file (Ctrl+S)">Save As</button>
+            <div class="export-menu">
+                <button class="btn export-toggle">Export</button>
+                <div class="export-options hidden">
+                    <button data-export="html">HTML page</button>
+                    <button data-export="pdf">PDF (print)</button>
+                    <button data-export="markdown">Markdown</button>
+                </div>
+            </div>
+            <button class="btn outline-toggle" title="Show or hide the outline">Outline</button>
+            <button class="btn search-toggle" title="Find and replace (Ctrl+F)">Find</button>
+            <button class="btn" data-mode="source">Source Only</button>
+            <button class="btn" data-mode="split">Split</button>
+            <button class="btn" data-mode="rich">Preview Only</button>
+            <button class="btn scroll-sync-toggle">Scroll Sync: Off</button>
+            <div class="settings-menu">
+                <button class="btn settings-toggle" title="Editor settings">Settings</button>
+                <div class="settings-panel hidden">
+                    <label>Theme
+                        <select name="theme">
+                            <option value="system">System</option>
+                            <option value="light">Light</option>
+                            <option value="dark">Dark</option>
+                        </select>
+                    </label>
+                    <label>Font size
+                        <input name="fontSize" type="number" min="10" max="32">
+                    </label>
+                    <label>Sync delay (ms)
+                        <input name="debounceDelay" type="number" min="0" max="5000" step="50">
+                    </label>
+                    <label><input name="lineWrapping" type="checkbox"> Wrap lines</label>
+                    <label><input name="lineNumbers" type="checkbox"> Line numbers</label>
+                    <label><input name="scrollSync" type="checkbox"> Scroll sync</label>
+                    <button class="btn" data-settings="reset">Reset to defaults</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="search-bar hidden">
+        <input class="search-input" type="text" placeholder="Find" spellcheck="false">
+        <button class="btn search-option" data-option="caseSensitive" title="Match case">Aa</button>
+        <button class="btn search-option" data-option="wholeWord" title="Match whole word">W</button>
+        <button class="btn search-option" data-option="regex" title="Use regular expression">.*</button>
+        <span class="search-count"></span>
+        <button class="btn" data-search="previous" title="Previous match (Shift+Enter)">↑</button>
+        <button class="btn" data-search="next" title="Next match (Enter)">↓</button>
+        <input class="replace-input" type="text" placeholder="Replace" spellcheck="false">
+        <button class="btn" data-search="replace">Replace</button>
+        <button class="btn" data-search="replaceAll">Replace All</button>
+        <button class="btn" data-search="close" title="Close (Escape)">×</button>
+    </div>
+
+    <div class="sync-conflict hidden">
+        <span>Both panes were edited before they could sync.</span>
+        <button class="btn" data-resolve="source">Keep Source</button>
+        <button class="btn" data-resolve="rich">Keep Preview</button>
+        <button class="btn" data-resolve="both">Keep Both</button>
+    </div>
+
+    <div class="restore-notice hidden">
+        <span class="restore-message"></span>
+        <button class="btn" data-restore="restore">Restore</button>
+        <button class="btn" data-restore="dismiss">Dismiss</button>
+    </div>
+
+    <div class="editor-workspace">
+        <aside class="workspace-sidebar">
+            <div class="workspace-header">
+                <h3>Workspace</h3>
+                <button class="btn" data-command="new" title="New document">New</button>
+            </div>
+            <ul class="workspace-list"></ul>
+        </aside>
+
+        <div class="editor-documents">
+            <div class="document-tabs"></div>
+
+            <div class="editor-body">
+                <div class="editor-pane codemirror-pane">
+                    <div class="pane-header">
+                        <h3>Source (CodeMirror)</h3>
+                        <span class="sync-status codemirror-status">Ready</span>
+                    </div>
+                    <div class="codemirror-editor"></div>
+                </div>
+
+                <div class="pane-divider"></div>
+
+                <div class="editor-pane milkdown-pane">
+                    <div class="pane-header">
+                        <h3>Preview (Milkdown)</h3>
+                        <span class="sync-status milkdown-status">Ready</span>
+                    </div>
+                    <div class="milkdown-editor"></div>
+                </div>
+            </div>
+        </div>
+
+        <aside class="outline-sidebar hidden">
+            <div class="outline-header">
+                <h3>Outline</h3>
+                <button class="btn" data-outline="toc" title="Insert or refresh a table of contents at the cursor">TOC</button>
+            </div>
+            <ol class="outline-list"></ol>
+        </aside>
+    </div>
+
+    <div class="editor-footer">
+        <div class="status-bar">
+            <span class="file-name">untitled.md</span>
+            <span class="word-count">Words: 0</span>
+            <span class="char-count">Characters: 0</span>
+            <span class="cursor-position">Line: 1, Col: 1</span>
+            <button class="lint-status" title="Show the problems of the document (Ctrl+Shift+M)">Problems: 0</button>
+            <button class="round-trip-status" title="Would editing in the preview rewrite untouched markdown?">Round-trip: OK</button>
+            <span class="sync-indicator">Synced</span>
+        </div>
+        <div class="round-trip-report hidden"></div>
+    </div>
+`;
 
-### Code Block Example
+// Default options for create()
+const defaultOptions = {
+    initialValue: '',
+    debounceDelay: 300,
+    scrollSync: false,
+    mode: 'split',
+    theme: 'dark', // 'light', 'dark' or 'system' to follow the OS
+    fontSize: 14, // In pixels, for both panes
+    lineWrapping: false,
+    lineNumbers: true,
+    // Keep the preferences of the settings panel and the layout in
+    // localStorage. Stored values override the options above.
+    persistSettings: false,
+    fileName: 'untitled.md',
+    autosave: false, // Keep the workspace in IndexedDB
+    // Name the stored workspace and settings are kept under. Editors on
+    // the same page that persist anything need a name of their own.
+    workspace: 'default',
+    lint: true, // Markdown lint rules, or false to turn linting off
+    lintRules: {}, // Rule options, see defaultLintRules in src/lint.js
+    // async (file) => URL to reference a pasted or dropped image by. By
+    // default images are kept in the workspace's IndexedDB asset store.
+    uploadImage: null
+};
 
-\`\`\`javascript
-function hello() {
-    console.log("Hello, World!");
+const autosaveDelay = 1000;
+
+// Workspace names of live instances that persist their workspace or settings
+const persistedWorkspaces = new Set();
+
+const modes = ['source', 'rich', 'split'];
+
+// Create the DOM of an editor instance inside `container` and collect
+// the elements the instance works with
+function createElements(container) {
+    const root = document.createElement('div');
+    root.className = 'md-editor';
+    root.innerHTML = editorTemplate;
+    container.appendChild(root);
+
+    const find = (selector) => root.querySelector(selector);
+
+    return {
+        root,
+        toolbar: find('.toolbar'),
+        scrollSyncToggle: find('.scroll-sync-toggle'),
+        settingsToggle: find('.settings-toggle'),
+        settingsPanel: find('.settings-panel'),
+        exportToggle: find('.export-toggle'),
+        exportOptions: find('.export-options'),
+        outlineToggle: find('.outline-toggle'),
+        outlineSidebar: find('.outline-sidebar'),
+        outlineList: find('.outline-list'),
+        searchToggle: find('.search-toggle'),
+        searchBar: find('.search-bar'),
+        searchInput: find('.search-input'),
+        replaceInput: find('.replace-input'),
+        searchCount: find('.search-count'),
+        conflictBar: find('.sync-conflict'),
+        restoreNotice: find('.restore-notice'),
+        restoreMessage: find('.restore-message'),
+        workspaceSidebar: find('.workspace-sidebar'),
+        workspaceList: find('.workspace-list'),
+        documentTabs: find('.document-tabs'),
+        body: find('.editor-body'),
+        codemirrorPane: find('.codemirror-pane'),
+        codemirrorContainer: find('.codemirror-editor'),
+        codemirrorStatus: find('.codemirror-status'),
+        divider: find('.pane-divider'),
+        milkdownPane: find('.milkdown-pane'),
+        milkdownContainer: find('.milkdown-editor'),
+        milkdownStatus: find('.milkdown-status'),
+        wordCount: find('.word-count'),
+        charCount: find('.char-count'),
+        cursorPosition: find('.cursor-position'),
+        fileName: find('.file-name'),
+        syncIndicator: find('.sync-indicator'),
+        lintStatus: find('.lint-status'),
+        roundTripStatus: find('.round-trip-status'),
+        roundTripReport: find('.round-trip-report')
+    };
 }
-\`\`\`
-
-> This is a blockquote example
-
-- List item 1
-- List item 2
-  - Nested item
-  - Another nested item
-`;
 
-// Global editor instances
-let codemirrorView = null;
-let milkdownEditor = null;
+// Register a DOM listener that is removed again on destroy()
+function listen(editor, target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    editor.cleanups.push(() => target.removeEventListener(type, handler, options));
+}
 
-// Sync state manager
-const syncManager = {
-    isUpdating: false,
-    lastSource: null,
-    debounceTimer: null,
-    debounceDelay: 300,
-    scrollSync: false // Set to true to enable synchronized scrolling
-};
+// Notify handlers registered with on()
+function emit(editor, event, ...args) {
+    const handlers = editor.listeners[event];
+    if (!handlers) return;
+    for (const handler of [...handlers]) {
+        handler(...args);
+    }
+}
 
 // Initialize CodeMirror
-function initializeCodeMirror() {
-    const container = document.getElementById('codemirror-editor');
-
+function initializeCodeMirror(editor) {
     const state = EditorState.create({
-        doc: initialContent,
+        doc: editor.options.initialValue,
         extensions: [
-            lineNumbers(),
-            highlightActiveLineGutter(),
+            editor.settings.compartment.of(codemirrorPreferences(editor.settings.preferences)),
             highlightActiveLine(),
             drawSelection(),
-            history(),
             foldGutter(),
             bracketMatching(),
-            markdown(),
-            oneDark,
+            yamlFrontmatter({
+                content: markdown({
+                    codeLanguages: [mermaidLanguageDescription, ...languages],
+                    extensions: [mathSyntax]
+                })
+            }),
+            frontMatterErrorField,
+            sourceHighlightField,
+            searchMatchField,
+            ...(editor.options.lint ? [
+                linter((view) => lintDocument(editor, view), {
+                    needsRefresh: (update) => update.transactions.some((tr) => (
+                        tr.effects.some((effect) => effect.is(refreshLint))
+                    ))
+                }),
+                lintGutter(),
+                keymap.of(lintKeymap)
+            ] : []),
             keymap.of([
+                { key: 'Mod-z', run: () => undo(editor), preventDefault: true },
+                { key: 'Mod-y', run: () => redo(editor), preventDefault: true },
+                { key: 'Mod-Shift-z', run: () => redo(editor), preventDefault: true },
                 ...defaultKeymap,
-                ...historyKeymap,
                 ...foldKeymap
             ]),
             EditorView.updateListener.of((update) => {
-                if (update.docChanged && !syncManager.isUpdating) {
-                    handleCodeMirrorChange(update);
+                if (update.docChanged && !isSyncUpdate(update)) {
+                    handleCodeMirrorChange(editor);
                 }
-                updateStatusBar(update);
+                if (update.selectionSet && update.view.hasFocus) {
+                    highlightMilkdownBlock(editor, update.state.selection.main.head);
+                }
+                if (update.selectionSet || update.docChanged) {
+                    updateOutlineCurrent(editor, update.state.selection.main.head);
+                }
+                updateStatusBar(editor, update);
             }),
             EditorView.theme({
                 "&": { height: "100%" },
@@ -97,98 +372,164 @@ function initializeCodeMirror() {
         ]
     });
 
-    codemirrorView = new EditorView({
+    editor.codemirrorView = new EditorView({
         state,
-        parent: container
+        parent: editor.elements.codemirrorContainer
     });
 
-    console.log('CodeMirror initialized');
-    return codemirrorView;
+    return editor.codemirrorView;
 }
 
-// Handle CodeMirror changes
-function handleCodeMirrorChange(update) {
-    if (syncManager.debounceTimer) {
-        clearTimeout(syncManager.debounceTimer);
+// Create the coordinator that versions, queues and merges the edits of
+// both panes
+function initializeSync(editor) {
+    const { syncManager } = editor;
+
+    syncManager.coordinator = createSyncCoordinator({
+        readSource: () => editor.codemirrorView.state.doc.toString(),
+        readRich: () => serializeRich(editor),
+        applyToSource: (markdown) => syncToCodeMirror(editor, markdown),
+        applyToRich: (markdown) => syncToMilkdown(editor, markdown),
+        onStateChange: (state, detail) => {
+            updateSyncStatus(editor, state, detail);
+            updateFileStatus(editor);
+            if (state === 'synced') {
+                refreshDocumentViews(editor);
+            }
+            if (state === 'conflict') {
+                emit(editor, 'conflict', detail);
+            }
+        },
+        onSynced: (markdown, previous) => {
+            editor.history.record(previous, markdown);
+            scheduleRoundTripCheck(editor);
+            scheduleAutosave(editor);
+            emit(editor, 'change', markdown);
+        }
+    }, { delay: editor.settings.preferences.debounceDelay });
+
+    for (const button of editor.elements.conflictBar.querySelectorAll('[data-resolve]')) {
+        listen(editor, button, 'click', () => {
+            syncManager.coordinator.resolve(button.dataset.resolve);
+        });
     }
+}
+
+// Markdown of the rich pane. Blocks unchanged since the last sync keep
+// their original source text.
+function serializeRich(editor) {
+    const { syncManager } = editor;
+
+    return editor.milkdownEditor.action((ctx) => {
+        const serializer = ctx.get(serializerCtx);
+        const doc = ctx.get(editorViewCtx).state.doc;
+        const map = syncManager.positionMap;
 
-    const statusEl = document.getElementById('codemirror-status');
-    statusEl.textContent = 'Syncing...';
-    statusEl.classList.add('syncing');
+        if (map && map.markdown === syncManager.coordinator.base) {
+            return serializeLossless(serializer, map, doc);
+        }
+        return serializer(doc);
+    });
+}
 
-    syncManager.debounceTimer = setTimeout(async () => {
-        const content = update.state.doc.toString();
-        await syncToMilkdown(content);
+// Reflect the coordinator state in the pane headers and the status bar
+function updateSyncStatus(editor, state, detail) {
+    const { elements, syncManager } = editor;
+    const { coordinator } = syncManager;
+
+    const panes = [
+        [elements.codemirrorStatus, coordinator.isDirty('source')],
+        [elements.milkdownStatus, coordinator.isDirty('rich')]
+    ];
+    for (const [statusEl, dirty] of panes) {
+        statusEl.textContent = dirty ? 'Syncing...' : 'Ready';
+        statusEl.classList.toggle('syncing', dirty);
+    }
 
-        statusEl.textContent = 'Ready';
-        statusEl.classList.remove('syncing');
-    }, syncManager.debounceDelay);
+    const labels = {
+        pending: 'Pending',
+        synced: 'Synced',
+        conflict: 'Conflict',
+        error: 'Sync Error'
+    };
+    const indicator = elements.syncIndicator;
+    indicator.textContent = labels[state];
+    indicator.classList.toggle('syncing', state === 'pending');
+    indicator.classList.toggle('conflict', state === 'conflict');
+    indicator.classList.toggle('error', state === 'error');
+
+    elements.conflictBar.classList.toggle('hidden', state !== 'conflict');
+
+    if (state === 'error') {
+        console.error('Error syncing editors:', detail);
+    }
+}
+
+// Handle CodeMirror changes
+function handleCodeMirrorChange(editor) {
+    const { coordinator } = editor.syncManager;
+    if (coordinator) coordinator.localChange('source');
 }
 
 // Sync content to Milkdown
-async function syncToMilkdown(content) {
-    if (!milkdownEditor) return;
+function syncToMilkdown(editor, content) {
+    const { syncManager, codemirrorView, milkdownEditor } = editor;
 
-    syncManager.isUpdating = true;
-    syncManager.lastSource = 'codemirror';
+    milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        const parsed = parseMarkdown(ctx.get(remarkCtx), ctx.get(schemaCtx), content);
+        const { tree } = parsed;
+        // Headings in the editor carry ids; give the parsed ones the same
+        // so that unchanged headings are not diffed as changes
+        const doc = assignHeadingIds(parsed.doc, ctx.get(headingIdGenerator.key));
+
+        // Only replace the range that actually differs so unchanged
+        // nodes (and their DOM) are left alone
+        const change = diffDocs(view.state.doc, doc);
+        const tr = view.state.tr.setMeta(syncMetaKey, true);
+        if (change) {
+            tr.replace(change.from, change.to, doc.slice(change.from, change.toB));
+        }
 
-    try {
-        const statusEl = document.getElementById('sync-indicator');
-        statusEl.textContent = 'Syncing...';
-        statusEl.classList.add('syncing');
+        const map = buildPositionMap(tree, tr.doc, content);
 
-        // Update Milkdown content
-        await milkdownEditor.action((ctx) => {
-            const view = ctx.get(editorViewCtx);
-            const parser = ctx.get(parserCtx);
-            const doc = parser(content);
-
-            if (!view) return;
-
-            const state = view.state;
-
-            // Save selection position (relative)
-            const { from, to } = state.selection;
-            const docSize = state.doc.content.size;
-            const relativeFrom = docSize > 0 ? from / docSize : 0;
-            const relativeTo = docSize > 0 ? to / docSize : 0;
-
-            // Replace content
-            const tr = state.tr.replaceWith(
-                0,
-                state.doc.content.size,
-                doc.content
-            );
-
-            // Restore selection position
-            const newDocSize = doc.content.size;
-            const newFrom = Math.min(Math.round(relativeFrom * newDocSize), newDocSize);
-            const newTo = Math.min(Math.round(relativeTo * newDocSize), newDocSize);
-
-            // Set selection
-            if (newFrom === newTo) {
-                tr.setSelection(state.schema.nodes.doc.createAndFill()
-                    ? state.selection.constructor.near(tr.doc.resolve(newFrom))
-                    : state.selection);
-            }
+        // Place the selection from the pane being edited exactly
+        if (codemirrorView.hasFocus) {
+            const { anchor, head } = codemirrorView.state.selection.main;
+            tr.setSelection(TextSelection.between(
+                tr.doc.resolve(map.toDoc(anchor)),
+                tr.doc.resolve(map.toDoc(head))
+            ));
+        }
 
-            view.dispatch(tr);
-        });
+        if (tr.docChanged || tr.selectionSet) {
+            // Plugins may dispatch follow-up transactions in response
+            syncManager.applyingToRich = true;
+            try {
+                view.dispatch(tr);
+            } finally {
+                syncManager.applyingToRich = false;
+            }
+        }
 
-        statusEl.textContent = 'Synced';
-        statusEl.classList.remove('syncing');
-    } catch (error) {
-        console.error('Error syncing to Milkdown:', error);
-        const statusEl = document.getElementById('sync-indicator');
-        statusEl.textContent = 'Sync Error';
-        statusEl.classList.add('error');
-    } finally {
-        syncManager.isUpdating = false;
-    }
+        // Map the document as it settled. Blocks that plugins changed after
+        // the sync would be written back into the source on the next rich
+        // edit, so report any change that alters the synced markdown.
+        const settled = view.state.doc;
+        if (settled !== tr.doc) {
+            if (map.complete && serializeLossless(ctx.get(serializerCtx), map, settled) !== content) {
+                console.warn('Milkdown plugins changed blocks of the synced markdown');
+            }
+            syncManager.positionMap = buildPositionMap(tree, settled, content);
+        } else {
+            syncManager.positionMap = map;
+        }
+    });
 }
 
 // Update status bar
-function updateStatusBar(update) {
+function updateStatusBar(editor, update) {
+    const { elements } = editor;
     const state = update.state;
     const doc = state.doc;
     const selection = state.selection.main;
@@ -196,31 +537,32 @@ function updateStatusBar(update) {
     // Word count
     const text = doc.toString();
     const words = text.trim().split(/\s+/).filter(word => word.length > 0).length;
-    document.getElementById('word-count').textContent = `Words: ${words}`;
+    elements.wordCount.textContent = `Words: ${words}`;
 
     // Character count
-    document.getElementById('char-count').textContent = `Characters: ${text.length}`;
+    elements.charCount.textContent = `Characters: ${text.length}`;
 
     // Cursor position
     const line = doc.lineAt(selection.head);
     const lineNum = doc.lineAt(selection.head).number;
     const col = selection.head - line.from + 1;
-    document.getElementById('cursor-position').textContent = `Line: ${lineNum}, Col: ${col}`;
+    elements.cursorPosition.textContent = `Line: ${lineNum}, Col: ${col}`;
 }
 
 // Initialize draggable divider
-function initializeDivider() {
-    const divider = document.getElementById('divider');
-    const leftPane = document.getElementById('codemirror-pane');
-    const rightPane = document.getElementById('milkdown-pane');
-    const container = document.querySelector('.editor-body');
+function initializeDivider(editor) {
+    const {
+        divider,
+        codemirrorPane: leftPane,
+        milkdownPane: rightPane
+    } = editor.elements;
 
     let isResizing = false;
     let startX = 0;
     let startLeftWidth = 0;
     let startRightWidth = 0;
 
-    divider.addEventListener('mousedown', (e) => {
+    listen(editor, divider, 'mousedown', (e) => {
         isResizing = true;
         startX = e.clientX;
         startLeftWidth = leftPane.offsetWidth;
@@ -230,110 +572,118 @@ function initializeDivider() {
         e.preventDefault();
     });
 
-    document.addEventListener('mousemove', (e) => {
+    listen(editor, document, 'mousemove', (e) => {
         if (!isResizing) return;
 
         const dx = e.clientX - startX;
-        const containerWidth = container.offsetWidth;
         const newLeftWidth = startLeftWidth + dx;
         const newRightWidth = startRightWidth - dx;
 
         // Minimum pane width
         if (newLeftWidth < 200 || newRightWidth < 200) return;
 
-        const leftPercent = (newLeftWidth / containerWidth) * 100;
-        const rightPercent = (newRightWidth / containerWidth) * 100;
-
-        leftPane.style.flex = `0 0 ${leftPercent}%`;
-        rightPane.style.flex = `0 0 ${rightPercent}%`;
+        // Source pane width in percent of both panes, kept between 10 and 90
+        const split = (newLeftWidth / (newLeftWidth + newRightWidth)) * 100;
+        editor.settings.split = Math.min(90, Math.max(10, Math.round(split * 10) / 10));
+        applySplit(editor);
     });
 
-    document.addEventListener('mouseup', () => {
+    listen(editor, document, 'mouseup', () => {
         if (isResizing) {
             isResizing = false;
             document.body.style.cursor = '';
+            persistSettings(editor);
         }
     });
 }
 
-// Initialize toolbar buttons
-function initializeToolbar() {
-    const toggleCM = document.getElementById('toggle-codemirror');
-    const toggleMD = document.getElementById('toggle-milkdown');
-    const fullCM = document.getElementById('fullwidth-codemirror');
-    const fullMD = document.getElementById('fullwidth-milkdown');
-
-    const cmPane = document.getElementById('codemirror-pane');
-    const mdPane = document.getElementById('milkdown-pane');
-    const divider = document.getElementById('divider');
-
-    toggleCM.addEventListener('click', () => {
-        cmPane.classList.toggle('hidden');
-        if (cmPane.classList.contains('hidden')) {
-            divider.style.display = 'none';
-            mdPane.style.flex = '1';
-        } else {
-            divider.style.display = 'block';
-            mdPane.style.flex = '';
-            cmPane.style.flex = '';
-        }
-    });
+// Size the panes by the divider position, see initializeDivider()
+function applySplit(editor) {
+    const { codemirrorPane: cmPane, milkdownPane: mdPane } = editor.elements;
+    const { split } = editor.settings;
 
-    toggleMD.addEventListener('click', () => {
-        mdPane.classList.toggle('hidden');
-        if (mdPane.classList.contains('hidden')) {
-            divider.style.display = 'none';
-            cmPane.style.flex = '1';
-        } else {
-            divider.style.display = 'block';
-            cmPane.style.flex = '';
-            mdPane.style.flex = '';
-        }
-    });
+    cmPane.style.flex = editor.mode === 'source' ? '1' : split ? `${split} 1 0%` : '';
+    mdPane.style.flex = editor.mode === 'rich' ? '1' : split ? `${100 - split} 1 0%` : '';
+}
 
-    fullCM.addEventListener('click', () => {
-        mdPane.classList.add('hidden');
-        divider.style.display = 'none';
-        cmPane.classList.remove('hidden');
-        cmPane.style.flex = '1';
-    });
+// Show the source pane, the rich pane or both
+function setMode(editor, mode) {
+    if (!modes.includes(mode)) {
+        throw new Error(`Unknown editor mode: ${mode}`);
+    }
 
-    fullMD.addEventListener('click', () => {
-        cmPane.classList.add('hidden');
-        divider.style.display = 'none';
-        mdPane.classList.remove('hidden');
-        mdPane.style.flex = '1';
-    });
+    const { codemirrorPane: cmPane, milkdownPane: mdPane, divider, toolbar } = editor.elements;
+    editor.mode = mode;
+
+    cmPane.classList.toggle('hidden', mode === 'rich');
+    mdPane.classList.toggle('hidden', mode === 'source');
+    divider.style.display = mode === 'split' ? 'block' : 'none';
+    applySplit(editor);
+
+    for (const button of toolbar.querySelectorAll('[data-mode]')) {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    }
 }
 
-// Initialize Milkdown
-async function initializeMilkdown() {
-    const container = document.getElementById('milkdown-editor');
+// Initialize toolbar buttons
+function initializeToolbar(editor) {
+    for (const button of editor.elements.toolbar.querySelectorAll('[data-mode]')) {
+        listen(editor, button, 'click', () => {
+            setMode(editor, button.dataset.mode);
+            persistSettings(editor);
+        });
+    }
+}
 
+// Initialize Milkdown
+async function initializeMilkdown(editor) {
     try {
-        milkdownEditor = await Editor
+        editor.milkdownEditor = await Editor
             .make()
             .config((ctx) => {
-                ctx.set(rootCtx, container);
-                ctx.set(defaultValueCtx, initialContent);
-
-                // Set up listener for changes
+                ctx.set(rootCtx, editor.elements.milkdownContainer);
+                ctx.set(defaultValueCtx, editor.options.initialValue);
+                configureImageSchema(ctx);
+                configureSlashMenu(ctx);
+                configureFormatToolbar(ctx);
+                configureBlockHandle(ctx);
+
+                // Set up listener for selection changes
                 ctx.get(listenerCtx)
-                    .updated((ctx, doc, prevDoc) => {
-                        if (!syncManager.isUpdating && doc !== prevDoc) {
-                            handleMilkdownChange(ctx);
+                    .selectionUpdated((ctx, selection) => {
+                        // Also fires while the editor is still being created
+                        if (editor.milkdownEditor && ctx.get(editorViewCtx).hasFocus()) {
+                            highlightSourceLines(editor, selection);
+                            followRichSelection(editor, selection);
                         }
                     });
             })
             .use(nord)
             .use(commonmark)
             .use(gfm)
+            .use(frontMatter)
+            .use(math)
+            .use(mermaidPlugin)
+            .use(imageView((src) => resolveImageUrl(editor.workspace.name, src)))
+            .use(slashMenu)
+            .use(formatToolbar)
+            .use(blockHandle)
             .use(listener)
-            .use(milkdownHistory)
+            .use(blockHighlightPlugin)
+            .use(searchHighlightPlugin)
+            .use(lintMarkerPlugin)
+            .use($prose(() => proseKeymap({
+                'Mod-z': () => undo(editor),
+                'Mod-y': () => redo(editor),
+                'Mod-Shift-z': () => redo(editor)
+            })))
+            .use(localChangePlugin(
+                () => handleMilkdownChange(editor),
+                () => editor.syncManager.applyingToRich
+            ))
             .create();
 
-        console.log('Milkdown initialized');
-        return milkdownEditor;
+        return editor.milkdownEditor;
     } catch (error) {
         console.error('Failed to initialize Milkdown:', error);
         throw error;
@@ -341,130 +691,1851 @@ async function initializeMilkdown() {
 }
 
 // Handle Milkdown changes
-function handleMilkdownChange(ctx) {
-    if (syncManager.debounceTimer) {
-        clearTimeout(syncManager.debounceTimer);
+function handleMilkdownChange(editor) {
+    const { coordinator } = editor.syncManager;
+    if (coordinator) coordinator.localChange('rich');
+}
+
+// Sync content to CodeMirror
+function syncToCodeMirror(editor, markdown) {
+    const { syncManager, codemirrorView, milkdownEditor } = editor;
+
+    milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        const map = buildPositionMap(parseTree(ctx.get(remarkCtx), markdown), view.state.doc, markdown);
+
+        // Update CodeMirror with the minimal changed range; the cursor
+        // is mapped through the change unless it is placed from Milkdown
+        const change = diffText(codemirrorView.state.doc.toString(), markdown);
+        const spec = { annotations: syncAnnotation.of(true) };
+        if (change) {
+            spec.changes = change;
+        }
+        if (view.hasFocus()) {
+            const { anchor, head } = view.state.selection;
+            spec.selection = EditorSelection.single(map.toSource(anchor), map.toSource(head));
+        }
+        if (spec.changes || spec.selection) {
+            codemirrorView.dispatch(spec);
+        }
+        syncManager.positionMap = map;
+    });
+}
+
+// Check in the background whether a round trip through the rich pane
+// would still change the markdown
+function scheduleRoundTripCheck(editor) {
+    const { syncManager } = editor;
+    clearTimeout(syncManager.roundTripTimer);
+    syncManager.roundTripTimer = setTimeout(() => updateRoundTripStatus(editor), 1000);
+}
+
+function updateRoundTripStatus(editor) {
+    const map = getPositionMap(editor);
+    if (!map) {
+        scheduleRoundTripCheck(editor);
+        return null;
+    }
+
+    const issues = editor.milkdownEditor.action((ctx) => checkRoundTrip(ctx.get(serializerCtx), map));
+    const { roundTripStatus, roundTripReport } = editor.elements;
+
+    roundTripStatus.textContent = issues.length
+        ? `Round-trip: ${issues.length} ${issues.length === 1 ? 'change' : 'changes'}`
+        : 'Round-trip: OK';
+    roundTripStatus.classList.toggle('warning', issues.length > 0);
+
+    // List what would change, each entry jumps to its source
+    roundTripReport.replaceChildren(...issues.map((issue) => {
+        const item = document.createElement('button');
+        item.className = 'round-trip-issue';
+
+        const line = document.createElement('span');
+        line.className = 'round-trip-line';
+        line.textContent = `Line ${editor.codemirrorView.state.doc.lineAt(issue.from).number}`;
+
+        const original = document.createElement('pre');
+        original.textContent = issue.original;
+        const serialized = document.createElement('pre');
+        serialized.textContent = issue.serialized || '(dropped)';
+
+        item.append(line, original, serialized);
+        item.addEventListener('click', () => placeCursor(editor, issue.from));
+        return item;
+    }));
+    if (!issues.length) {
+        roundTripReport.classList.add('hidden');
     }
 
-    const statusEl = document.getElementById('milkdown-status');
-    statusEl.textContent = 'Syncing...';
-    statusEl.classList.add('syncing');
+    return issues;
+}
+
+function initializeRoundTripCheck(editor) {
+    const { roundTripStatus, roundTripReport } = editor.elements;
 
-    syncManager.debounceTimer = setTimeout(() => {
-        syncToCodeMirror(ctx);
+    listen(editor, roundTripStatus, 'click', () => {
+        const issues = updateRoundTripStatus(editor);
+        if (issues && issues.length) {
+            roundTripReport.classList.toggle('hidden');
+        }
+    });
 
-        statusEl.textContent = 'Ready';
-        statusEl.classList.remove('syncing');
-    }, syncManager.debounceDelay);
+    updateRoundTripStatus(editor);
 }
 
-// Sync content to CodeMirror
-function syncToCodeMirror(ctx) {
-    if (!codemirrorView) return;
+// True if the active document differs from the file it was opened from
+// or last saved to
+function isDirty(editor) {
+    const { coordinator } = editor.syncManager;
+    return coordinator.isPending() || coordinator.base !== editor.document.savedMarkdown;
+}
 
-    syncManager.isUpdating = true;
-    syncManager.lastSource = 'milkdown';
+function isDocumentDirty(editor, doc) {
+    return doc === editor.document ? isDirty(editor) : isModified(doc);
+}
 
-    try {
-        const statusEl = document.getElementById('sync-indicator');
-        statusEl.textContent = 'Syncing...';
-        statusEl.classList.add('syncing');
+function findDocument(editor, id) {
+    return editor.workspace.documents.find((doc) => doc.id === id) || null;
+}
 
-        // Get markdown from Milkdown
-        const serializer = ctx.get(serializerCtx);
-        const view = ctx.get(editorViewCtx);
-        const markdown = serializer(view.state.doc);
-
-        // Save cursor position
-        const cursorPos = codemirrorView.state.selection.main.head;
-        const docLength = codemirrorView.state.doc.length;
-        const relativePos = docLength > 0 ? cursorPos / docLength : 0;
-
-        // Update CodeMirror
-        const transaction = codemirrorView.state.update({
-            changes: {
-                from: 0,
-                to: docLength,
-                insert: markdown
+// Show the file name and whether it has unsaved changes
+function updateFileStatus(editor) {
+    const { document: doc, elements } = editor;
+    if (!doc) return;
+
+    const dirty = isDirty(editor);
+    elements.fileName.textContent = dirty ? `${doc.name} (unsaved)` : doc.name;
+    elements.fileName.classList.toggle('dirty', dirty);
+
+    for (const item of elements.root.querySelectorAll(`[data-id="${doc.id}"]`)) {
+        item.classList.toggle('dirty', dirty);
+    }
+}
+
+// Render the tab strip and the workspace file list
+function renderWorkspace(editor) {
+    const { workspace, document: active, elements } = editor;
+
+    elements.documentTabs.replaceChildren(...workspace.openIds.map((id) => {
+        const doc = findDocument(editor, id);
+        const tab = document.createElement('div');
+        tab.className = 'document-tab';
+        tab.dataset.id = id;
+        tab.dataset.action = 'switch';
+        tab.title = doc.name;
+        tab.classList.toggle('active', doc === active);
+        tab.classList.toggle('dirty', isDocumentDirty(editor, doc));
+
+        const name = document.createElement('span');
+        name.className = 'document-name';
+        name.textContent = doc.name;
+
+        const close = document.createElement('button');
+        close.className = 'document-action';
+        close.dataset.action = 'close';
+        close.title = 'Close';
+        close.textContent = '×';
+
+        tab.append(name, close);
+        return tab;
+    }));
+
+    // Relative links are checked against the document names
+    if (documentNamesKey(editor) !== editor.lint.files) relint(editor);
+
+    const sorted = [...workspace.documents].sort((a, b) => a.name.localeCompare(b.name));
+    elements.workspaceList.replaceChildren(...sorted.map((doc) => {
+        const item = document.createElement('li');
+        item.className = 'workspace-item';
+        item.dataset.id = doc.id;
+        item.dataset.action = 'switch';
+        item.title = doc.name;
+        item.classList.toggle('active', doc === active);
+        item.classList.toggle('open', workspace.openIds.includes(doc.id));
+        item.classList.toggle('dirty', isDocumentDirty(editor, doc));
+
+        const name = document.createElement('span');
+        name.className = 'document-name';
+        name.textContent = doc.name;
+
+        const rename = document.createElement('button');
+        rename.className = 'document-action';
+        rename.dataset.action = 'rename';
+        rename.title = 'Rename';
+        rename.textContent = '✎';
+
+        const remove = document.createElement('button');
+        remove.className = 'document-action';
+        remove.dataset.action = 'delete';
+        remove.title = 'Delete';
+        remove.textContent = '×';
+
+        item.append(name, rename, remove);
+        return item;
+    }));
+}
+
+// Keep the active document's content, cursor and scroll position, so
+// they can be restored when switching back to it
+function storeDocumentState(editor) {
+    const { document: doc, codemirrorView, elements, syncManager } = editor;
+    const { anchor, head } = codemirrorView.state.selection.main;
+
+    doc.markdown = syncManager.coordinator.base;
+    doc.selection = { anchor, head };
+    doc.scroll = {
+        source: codemirrorView.scrollSnapshot(),
+        rich: elements.milkdownContainer.scrollTop
+    };
+}
+
+function restoreDocumentState(editor, doc) {
+    const { codemirrorView, milkdownEditor, elements } = editor;
+    const length = codemirrorView.state.doc.length;
+    const anchor = Math.min(doc.selection ? doc.selection.anchor : 0, length);
+    const head = Math.min(doc.selection ? doc.selection.head : 0, length);
+
+    codemirrorView.dispatch({
+        selection: { anchor, head },
+        effects: doc.scroll ? doc.scroll.source : EditorView.scrollIntoView(0, { y: 'start' }),
+        annotations: syncAnnotation.of(true)
+    });
+
+    const map = getPositionMap(editor);
+    if (map) {
+        milkdownEditor.action((ctx) => {
+            const view = ctx.get(editorViewCtx);
+            view.dispatch(view.state.tr
+                .setSelection(TextSelection.between(
+                    view.state.doc.resolve(map.toDoc(anchor)),
+                    view.state.doc.resolve(map.toDoc(head))
+                ))
+                .setMeta(syncMetaKey, true));
+        });
+    }
+
+    elements.milkdownContainer.scrollTop = doc.scroll ? doc.scroll.rich : 0;
+}
+
+// Show another document in both panes. Returns false while a conflict
+// keeps the active document from being stored.
+function switchDocument(editor, id) {
+    const { coordinator } = editor.syncManager;
+    const doc = findDocument(editor, id);
+    if (!doc) return false;
+
+    if (editor.document) {
+        if (doc === editor.document) return true;
+        if (!coordinator.flush()) return false;
+
+        storeDocumentState(editor);
+        if (editor.workspace.autosaveTimer) saveAutosave(editor);
+    }
+
+    editor.document = doc;
+    editor.history = doc.history;
+    if (!editor.workspace.openIds.includes(id)) {
+        editor.workspace.openIds.push(id);
+    }
+
+    coordinator.replace(doc.markdown);
+    restoreDocumentState(editor, doc);
+
+    renderWorkspace(editor);
+    updateFileStatus(editor);
+    scheduleRoundTripCheck(editor);
+    persistSession(editor);
+    emit(editor, 'switch', { id: doc.id, name: doc.name });
+    return true;
+}
+
+// Add a document to the workspace and show it in a new tab
+function addDocument(editor, doc) {
+    editor.workspace.documents.push(doc);
+    persistDocument(editor, doc);
+    if (!switchDocument(editor, doc.id)) {
+        editor.workspace.openIds.push(doc.id);
+        renderWorkspace(editor);
+    }
+    return doc;
+}
+
+function newDocument(editor, name = 'untitled.md', markdown = '') {
+    const doc = createDocument(uniqueName(editor.workspace.documents, name), markdown, '');
+    return addDocument(editor, doc);
+}
+
+// Close a tab. The document stays in the workspace unless it was never
+// edited.
+function closeDocument(editor, id) {
+    const { workspace } = editor;
+    const index = workspace.openIds.indexOf(id);
+    if (index === -1) return true;
+
+    if (id === editor.document.id) {
+        const next = workspace.openIds[index + 1] || workspace.openIds[index - 1];
+        const switched = next
+            ? switchDocument(editor, next)
+            : switchDocument(editor, createBlankDocument(editor).id);
+        if (!switched) return false;
+    }
+
+    workspace.openIds.splice(workspace.openIds.indexOf(id), 1);
+
+    const doc = findDocument(editor, id);
+    if (!doc.persisted && !doc.history.canUndo()) {
+        workspace.documents.splice(workspace.documents.indexOf(doc), 1);
+    }
+
+    renderWorkspace(editor);
+    persistSession(editor);
+    return true;
+}
+
+// An empty document that is only stored once it is edited
+function createBlankDocument(editor) {
+    const doc = createDocument(uniqueName(editor.workspace.documents, 'untitled.md'), '');
+    editor.workspace.documents.push(doc);
+    return doc;
+}
+
+function renameDocument(editor, id, name) {
+    const doc = findDocument(editor, id);
+    if (!doc) return false;
+
+    if (name === undefined) {
+        name = window.prompt('Rename document', doc.name);
+    }
+    name = name && name.trim();
+    if (!name) return false;
+
+    // Names in the sidebar stay unique
+    doc.name = uniqueName(editor.workspace.documents.filter((other) => other !== doc), name);
+    if (doc.persisted || doc.history.canUndo()) {
+        if (doc === editor.document) saveAutosave(editor);
+        else persistDocument(editor, doc);
+    }
+
+    renderWorkspace(editor);
+    updateFileStatus(editor);
+    return true;
+}
+
+function deleteDocument(editor, id, confirmed = false) {
+    const { workspace } = editor;
+    const doc = findDocument(editor, id);
+    if (!doc) return false;
+    if (!confirmed && !window.confirm(`Delete ${doc.name} from the workspace?`)) return false;
+
+    // Closing stores pending edits first, the record is deleted after that
+    if (!closeDocument(editor, id)) return false;
+
+    const index = workspace.documents.indexOf(doc);
+    if (index !== -1) workspace.documents.splice(index, 1);
+    if (doc.persisted && workspace.ready) {
+        removeDocument(doc).catch((error) => disableAutosave(editor, error));
+    }
+
+    renderWorkspace(editor);
+    persistSession(editor);
+    return true;
+}
+
+// Open a markdown file in a new tab
+async function openFile(editor, file) {
+    const result = file ? await readMarkdownFile(file) : await openMarkdownFile();
+    if (!result) return false;
+
+    addDocument(editor, createDocument(uniqueName(editor.workspace.documents, result.name), result.text));
+    return true;
+}
+
+// Download the document, asking for a file name unless one is given
+function saveFileAs(editor, name) {
+    const { coordinator } = editor.syncManager;
+    if (!coordinator.flush()) return false;
+
+    if (name === undefined) {
+        name = window.prompt('Save as', editor.document.name);
+        if (!name) return false;
+    }
+    if (!/\.[^./]+$/.test(name)) {
+        name = `${name}.md`;
+    }
+
+    saveMarkdownFile(name, coordinator.base);
+    editor.document.name = uniqueName(
+        editor.workspace.documents.filter((doc) => doc !== editor.document),
+        name
+    );
+    editor.document.savedMarkdown = coordinator.base;
+
+    renderWorkspace(editor);
+    updateFileStatus(editor);
+    saveAutosave(editor);
+    return true;
+}
+
+// Show or hide the workspace sidebar
+function setSidebarOpen(editor, open) {
+    const { workspaceSidebar, toolbar } = editor.elements;
+    workspaceSidebar.classList.toggle('hidden', !open);
+    toolbar.querySelector('[data-command="sidebar"]').classList.toggle('active', open);
+}
+
+// Wire up the open and save commands, their shortcuts, dropping markdown
+// files onto either pane, the tabs and the workspace sidebar
+function initializeFiles(editor) {
+    const { root, codemirrorPane, milkdownPane, documentTabs, workspaceSidebar } = editor.elements;
+
+    const commands = {
+        open: () => openFile(editor).catch((error) => console.error('Failed to open file:', error)),
+        save: () => saveFileAs(editor),
+        new: () => newDocument(editor),
+        sidebar: () => {
+            setSidebarOpen(editor, workspaceSidebar.classList.contains('hidden'));
+            persistSettings(editor);
+        }
+    };
+
+    for (const button of root.querySelectorAll('[data-command]')) {
+        listen(editor, button, 'click', () => commands[button.dataset.command]());
+    }
+
+    listen(editor, root, 'keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+
+        const command = { o: 'open', s: 'save' }[e.key.toLowerCase()];
+        if (!command) return;
+
+        e.preventDefault();
+        commands[command]();
+    });
+
+    // Tabs and sidebar entries are rendered again on every change, so
+    // their clicks are handled here
+    const actions = {
+        switch: (id) => switchDocument(editor, id),
+        close: (id) => closeDocument(editor, id),
+        rename: (id) => renameDocument(editor, id),
+        delete: (id) => deleteDocument(editor, id)
+    };
+    for (const list of [documentTabs, workspaceSidebar]) {
+        listen(editor, list, 'click', (e) => {
+            const target = e.target.closest('[data-action]');
+            const item = e.target.closest('[data-id]');
+            if (!target || !item || !list.contains(item)) return;
+            actions[target.dataset.action](item.dataset.id);
+        });
+    }
+
+    for (const pane of [codemirrorPane, milkdownPane]) {
+        // Capture phase, so the editors do not insert the file as text
+        listen(editor, pane, 'dragover', (e) => {
+            if (!hasDraggedFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            pane.classList.add('drop-target');
+        }, true);
+
+        listen(editor, pane, 'dragleave', (e) => {
+            if (!pane.contains(e.relatedTarget)) {
+                pane.classList.remove('drop-target');
             }
         });
 
-        codemirrorView.dispatch(transaction);
+        listen(editor, pane, 'drop', (e) => {
+            pane.classList.remove('drop-target');
+
+            const file = getDroppedMarkdownFile(e.dataTransfer);
+            if (!file) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            openFile(editor, file).catch((error) => console.error('Failed to open file:', error));
+        }, true);
+    }
+
+    renderWorkspace(editor);
+    updateFileStatus(editor);
+}
+
+// Export the active document from the rich pane's document model, so
+// the output matches what it shows
+async function exportDocument(editor, format) {
+    const { coordinator } = editor.syncManager;
+    if (!coordinator.flush()) return false;
+
+    const { doc, schema, serializer } = editor.milkdownEditor.action((ctx) => ({
+        doc: ctx.get(editorViewCtx).state.doc,
+        schema: ctx.get(schemaCtx),
+        serializer: ctx.get(serializerCtx)
+    }));
+    const title = editor.document.name.replace(/\.[^.]+$/, '');
+    // Images from the asset store; others are fetched
+    const loadImage = (src) => loadAsset(editor.workspace.name, src).catch(() => null);
+
+    if (format === 'html') {
+        downloadFile(`${title}.html`, await exportHtml(doc, schema, title, loadImage), 'text/html;charset=utf-8');
+    } else if (format === 'pdf') {
+        await printHtml(await exportHtml(doc, schema, title, loadImage));
+    } else if (format === 'markdown') {
+        // Canonical markdown, as the serializer writes it
+        downloadFile(`${title}.md`, serializer(doc), 'text/markdown;charset=utf-8');
+    } else {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    return true;
+}
+
+function initializeExport(editor) {
+    const { exportToggle, exportOptions } = editor.elements;
+
+    listen(editor, exportToggle, 'click', () => {
+        exportOptions.classList.toggle('hidden');
+    });
+
+    // Close the menu on any click outside of it
+    listen(editor, document, 'click', (e) => {
+        if (!exportToggle.parentElement.contains(e.target)) {
+            exportOptions.classList.add('hidden');
+        }
+    });
+
+    for (const button of exportOptions.querySelectorAll('[data-export]')) {
+        listen(editor, button, 'click', () => {
+            exportOptions.classList.add('hidden');
+            exportDocument(editor, button.dataset.export)
+                .catch((error) => console.error('Export failed:', error));
+        });
+    }
+}
+
+// Store pasted or dropped images through the uploadImage option, or in
+// the workspace's asset store. Resolves to [{ alt, src }].
+function uploadImages(editor, files) {
+    const { uploadImage } = editor.options;
+    return Promise.all(files.map(async (file) => ({
+        alt: altText(file),
+        src: uploadImage ? await uploadImage(file) : await storeAsset(editor.workspace.name, file)
+    })));
+}
+
+// Insert images as markdown at `pos`, or over the selection. `pos` only
+// applies if the document did not change since it was taken.
+function insertSourceImages(editor, images, pos, doc, userEvent) {
+    const view = editor.codemirrorView;
+    const { state } = view;
+    const insert = images.map(({ alt, src }) => imageMarkdown(alt, src)).join('\n');
+    const at = pos !== null && state.doc === doc ? { from: pos, to: pos } : state.selection.main;
+
+    view.dispatch({
+        changes: { from: at.from, to: at.to, insert },
+        selection: { anchor: at.from + insert.length },
+        userEvent,
+        scrollIntoView: true
+    });
+}
+
+function insertRichImages(editor, images, pos, doc) {
+    editor.milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        const type = imageSchema.type(ctx);
+        const nodes = images.map(({ alt, src }) => type.create({ src, alt }));
+        const { from, to } = pos !== null && view.state.doc === doc ? { from: pos, to: pos } : view.state.selection;
+
+        view.dispatch(view.state.tr.replaceWith(from, to, nodes).scrollIntoView());
+    });
+}
+
+function initializeImages(editor) {
+    const { codemirrorPane, milkdownPane } = editor.elements;
+
+    // Where each pane inserts, and the position under a drop
+    const panes = [
+        {
+            pane: codemirrorPane,
+            insert: (images, pos, doc, userEvent) => insertSourceImages(editor, images, pos, doc, userEvent),
+            current: () => {
+                const view = editor.codemirrorView;
+                return { view, doc: view.state.doc };
+            },
+            posAt: (view, e) => view.posAtCoords({ x: e.clientX, y: e.clientY })
+        },
+        {
+            pane: milkdownPane,
+            insert: (images, pos, doc) => insertRichImages(editor, images, pos, doc),
+            current: () => editor.milkdownEditor.action((ctx) => {
+                const view = ctx.get(editorViewCtx);
+                return { view, doc: view.state.doc };
+            }),
+            posAt: (view, e) => {
+                const found = view.posAtCoords({ left: e.clientX, top: e.clientY });
+                return found ? found.pos : null;
+            }
+        }
+    ];
+
+    for (const { pane, insert, current, posAt } of panes) {
+        const handle = (e, files, userEvent) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const { view, doc } = current();
+            const pos = e.type === 'drop' ? posAt(view, e) : null;
+            uploadImages(editor, files)
+                .then((images) => insert(images, pos, doc, userEvent))
+                .catch((error) => console.error('Failed to insert images:', error));
+        };
+
+        // Capture phase, so the editors do not handle the files themselves
+        listen(editor, pane, 'paste', (e) => {
+            const files = getImageFiles(e.clipboardData);
+            if (files.length) handle(e, files, 'input.paste');
+        }, true);
+
+        // Markdown files are opened instead, see initializeFiles()
+        listen(editor, pane, 'drop', (e) => {
+            const files = getImageFiles(e.dataTransfer);
+            if (files.length && !e.defaultPrevented) handle(e, files, 'input.drop');
+        }, true);
+    }
+}
+
+// Keep a copy of the active document in IndexedDB so that it survives a
+// crash or a closed tab
+function scheduleAutosave(editor) {
+    const { workspace } = editor;
+    if (!workspace.ready) return;
+
+    clearTimeout(workspace.autosaveTimer);
+    workspace.autosaveTimer = setTimeout(() => saveAutosave(editor), autosaveDelay);
+}
+
+function saveAutosave(editor) {
+    const { workspace, document: doc, syncManager } = editor;
+    clearTimeout(workspace.autosaveTimer);
+    workspace.autosaveTimer = null;
+
+    doc.markdown = syncManager.coordinator.base;
+    doc.updatedAt = Date.now();
+    persistDocument(editor, doc);
+    persistSession(editor);
+}
+
+function persistDocument(editor, doc) {
+    const { workspace } = editor;
+    if (!workspace.ready) return;
+
+    saveDocument(workspace.name, doc).catch((error) => disableAutosave(editor, error));
+}
+
+// Remember the open tabs for the next session
+function persistSession(editor) {
+    const { workspace, document: doc } = editor;
+    if (!workspace.ready || !workspace.sessionReady) return;
+
+    const openIds = workspace.openIds.filter((id) => findDocument(editor, id).persisted);
+    saveSession(workspace.name, openIds, doc.id)
+        .catch((error) => disableAutosave(editor, error));
+}
+
+function disableAutosave(editor, error) {
+    if (!editor.workspace.ready) return;
+    editor.workspace.ready = false;
+    console.warn('Autosave is not available:', error);
+}
+
+// Load the stored workspace and offer to reopen the documents of the last
+// session. Documents are stored right away, but the session only once that
+// choice is made, so it is not overwritten in the meantime.
+async function initializeWorkspace(editor) {
+    const { workspace, elements } = editor;
+    if (!editor.options.autosave) return;
+
+    let stored;
+    try {
+        stored = await loadWorkspace(workspace.name);
+    } catch (error) {
+        console.warn('Autosave is not available:', error);
+        return;
+    }
+    if (editor.destroyed) return;
 
-        // Restore cursor position
-        const newLength = codemirrorView.state.doc.length;
-        const newPos = Math.min(Math.round(relativePos * newLength), newLength);
+    // Names in the sidebar stay unique
+    for (const doc of workspace.documents) {
+        doc.name = uniqueName(stored.documents, doc.name);
+    }
+    workspace.documents.push(...stored.documents);
+    renderWorkspace(editor);
+    updateFileStatus(editor);
+
+    // Edits made before the workspace was loaded
+    workspace.ready = true;
+    if (editor.document.history.canUndo()) saveAutosave(editor);
+
+    // Write the last state before the page goes away
+    listen(editor, window, 'pagehide', () => {
+        editor.syncManager.coordinator.flush();
+        if (workspace.autosaveTimer) saveAutosave(editor);
+    });
 
-        codemirrorView.dispatch({
-            selection: { anchor: newPos, head: newPos },
-            scrollIntoView: false
+    const start = () => {
+        workspace.sessionReady = true;
+        persistSession(editor);
+    };
+
+    const { session } = stored;
+    const previous = session
+        ? session.openIds.map((id) => findDocument(editor, id)).filter(Boolean)
+        : [];
+    if (!previous.length) {
+        start();
+        return;
+    }
+
+    const unsaved = previous.filter(isModified).length;
+    const { restoreNotice, restoreMessage } = elements;
+    restoreMessage.textContent = previous.length === 1
+        ? `Reopen ${previous[0].name} from your last session`
+        : `Reopen ${previous.length} documents from your last session`;
+    if (unsaved) {
+        restoreMessage.textContent += ` (${unsaved} with unsaved changes)`;
+    }
+    restoreMessage.textContent += '?';
+    restoreNotice.classList.remove('hidden');
+
+    for (const button of restoreNotice.querySelectorAll('[data-restore]')) {
+        listen(editor, button, 'click', () => {
+            if (workspace.sessionReady) return;
+            restoreNotice.classList.add('hidden');
+
+            if (button.dataset.restore === 'restore') {
+                const initial = editor.document;
+                for (const doc of previous) {
+                    if (!workspace.openIds.includes(doc.id)) workspace.openIds.push(doc.id);
+                }
+                const active = previous.find((doc) => doc.id === session.activeId) || previous[0];
+                if (switchDocument(editor, active.id) && !initial.history.canUndo()) {
+                    closeDocument(editor, initial.id);
+                }
+            }
+            start();
         });
+    }
+}
+
+// Undo the last edit, whichever pane it was made in
+function undo(editor) {
+    return applyHistory(editor, 'undo');
+}
+
+function redo(editor) {
+    return applyHistory(editor, 'redo');
+}
+
+function applyHistory(editor, direction) {
+    const { coordinator } = editor.syncManager;
+
+    // Pending edits become the latest history entry first. Nothing can
+    // be undone while a conflict is unresolved.
+    if (!coordinator.flush()) return true;
+
+    const result = editor.history[direction](coordinator.base);
+    if (!result) return true;
+
+    coordinator.replace(result.markdown);
+    placeCursor(editor, result.cursor);
+    updateFileStatus(editor);
+    scheduleAutosave(editor);
+    emit(editor, 'change', result.markdown);
+    return true;
+}
+
+// Put the cursor of both panes at a source offset
+function placeCursor(editor, offset) {
+    const { codemirrorView, milkdownEditor } = editor;
+
+    codemirrorView.dispatch({
+        selection: { anchor: offset },
+        annotations: syncAnnotation.of(true),
+        scrollIntoView: true
+    });
+
+    const map = getPositionMap(editor);
+    if (!map) return;
+
+    milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        const $pos = view.state.doc.resolve(map.toDoc(offset));
+        view.dispatch(view.state.tr
+            .setSelection(TextSelection.near($pos))
+            .setMeta(syncMetaKey, true)
+            .scrollIntoView());
+    });
+}
+
+// Get the position map for the current content of both panes. Returns
+// null while a sync is pending, as the panes do not match yet.
+function getPositionMap(editor) {
+    const { syncManager, codemirrorView, milkdownEditor } = editor;
+    if (!syncManager.coordinator || syncManager.coordinator.isPending()) return null;
+
+    const markdown = codemirrorView.state.doc.toString();
+    return milkdownEditor.action((ctx) => {
+        const doc = ctx.get(editorViewCtx).state.doc;
+        const cached = syncManager.positionMap;
+        if (cached && cached.doc === doc && cached.markdown === markdown) {
+            return cached;
+        }
+
+        syncManager.positionMap = buildPositionMap(parseTree(ctx.get(remarkCtx), markdown), doc, markdown);
+        return syncManager.positionMap;
+    });
+}
+
+// Highlight the Milkdown block matching a source offset
+function highlightMilkdownBlock(editor, offset) {
+    const map = getPositionMap(editor);
+    if (!map) return;
+
+    editor.milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        const $pos = view.state.doc.resolve(map.toDoc(offset));
+
+        // Prefer the innermost textblock, e.g. a paragraph inside a list
+        let range = null;
+        if ($pos.parent.isTextblock && $pos.depth > 0) {
+            range = { from: $pos.before(), to: $pos.after() };
+        } else {
+            const block = map.blockAtDoc($pos.pos);
+            if (block) range = { from: block.docFrom, to: block.docTo };
+        }
+
+        view.dispatch(view.state.tr
+            .setMeta(blockHighlightKey, range));
+    });
+}
+
+// Highlight the source lines matching a Milkdown selection
+function highlightSourceLines(editor, selection) {
+    const map = getPositionMap(editor);
+    if (!map || map.doc !== selection.$head.doc) return;
+
+    const { $head } = selection;
+    let range = null;
+    if ($head.depth > 1 && $head.parent.isTextblock) {
+        range = {
+            from: map.toSource($head.start()),
+            to: map.toSource($head.end())
+        };
+    } else {
+        const block = map.blockAtDoc($head.pos);
+        if (block) range = { from: block.srcFrom, to: block.srcTo };
+    }
+
+    editor.codemirrorView.dispatch({ effects: setSourceHighlight.of(range) });
+}
+
+// Update the views derived from the markdown whenever both panes agree
+// on it again
+function refreshDocumentViews(editor) {
+    updateSearch(editor);
+    updateOutline(editor);
+    showLintMarkers(editor);
+}
 
-        statusEl.textContent = 'Synced';
-        statusEl.classList.remove('syncing');
+// Find the matches of the search bar's query in the markdown and
+// highlight them in both panes. The current match becomes the first one
+// at or after `from`, which defaults to the current match.
+function updateSearch(editor, from) {
+    const { search, codemirrorView } = editor;
+    if (!search.open) return;
+
+    const previous = search.matches[search.current];
+    try {
+        search.matches = findMatches(codemirrorView.state.doc.toString(), search);
+        search.error = null;
     } catch (error) {
-        console.error('Error syncing to CodeMirror:', error);
-        const statusEl = document.getElementById('sync-indicator');
-        statusEl.textContent = 'Sync Error';
-        statusEl.classList.add('error');
-    } finally {
-        syncManager.isUpdating = false;
+        search.matches = [];
+        search.error = error.message;
+    }
+
+    if (from === undefined) {
+        from = previous ? previous.from : codemirrorView.state.selection.main.from;
+    }
+    const index = search.matches.findIndex((match) => match.from >= from);
+    search.current = search.matches.length ? Math.max(index, 0) : -1;
+
+    highlightSearch(editor);
+}
+
+function highlightSearch(editor) {
+    const { search, elements, codemirrorView, milkdownEditor } = editor;
+    const { matches, current } = search;
+
+    elements.searchCount.textContent = search.error
+        ? 'Invalid pattern'
+        : matches.length ? `${current + 1} of ${matches.length}` : 'No results';
+    elements.searchCount.classList.toggle('error', !!search.error);
+    elements.searchCount.title = search.error || '';
+
+    codemirrorView.dispatch({ effects: setSearchMatches.of({ matches, current }) });
+
+    // The rich pane is highlighted again once the panes are synced
+    const map = getPositionMap(editor);
+    if (!map) return;
+
+    const ranges = matches.map((match) => {
+        const from = map.toDoc(match.from);
+        const to = map.toDoc(match.to);
+        return from < to ? { from, to } : null;
+    });
+    milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        view.dispatch(view.state.tr
+            .setMeta(searchHighlightKey, { ranges, current }));
+    });
+}
+
+// Make a match current and select it in both panes
+function selectMatch(editor, index) {
+    const { search, codemirrorView, milkdownEditor } = editor;
+    const match = search.matches[index];
+    if (!match) return;
+
+    search.current = index;
+    highlightSearch(editor);
+
+    codemirrorView.dispatch({
+        selection: { anchor: match.from, head: match.to },
+        annotations: syncAnnotation.of(true),
+        scrollIntoView: true
+    });
+
+    const map = getPositionMap(editor);
+    if (!map) return;
+
+    milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        const { doc } = view.state;
+        view.dispatch(view.state.tr
+            .setSelection(TextSelection.between(doc.resolve(map.toDoc(match.from)), doc.resolve(map.toDoc(match.to))))
+            .setMeta(syncMetaKey, true)
+            .scrollIntoView());
+    });
+}
+
+function stepMatch(editor, direction) {
+    const { search, syncManager } = editor;
+
+    // Search what both panes agree on
+    syncManager.coordinator.flush();
+    const count = search.matches.length;
+    if (!count) return;
+
+    selectMatch(editor, (search.current + direction + count) % count);
+}
+
+// Replace the current match, or all of them in a single edit. The edit is
+// made in the source pane and synced like any other.
+function replaceMatches(editor, all) {
+    const { search, syncManager, codemirrorView } = editor;
+    if (!syncManager.coordinator.flush()) return;
+
+    const matches = all ? search.matches : search.matches.slice(search.current, search.current + 1);
+    if (!matches.length) return;
+
+    const changes = matches.map((match) => ({
+        from: match.from,
+        to: match.to,
+        insert: expandReplacement(match, search.replacement, search)
+    }));
+    codemirrorView.dispatch({ changes, userEvent: 'input.replace' });
+    syncManager.coordinator.flush();
+
+    const last = changes[changes.length - 1];
+    updateSearch(editor, last.from + last.insert.length);
+    if (!all) selectMatch(editor, search.current);
+}
+
+function openSearch(editor) {
+    const { search, elements, codemirrorView } = editor;
+    editor.syncManager.coordinator.flush();
+
+    // Search for a selected word or phrase
+    const { from, to } = codemirrorView.state.selection.main;
+    const selected = codemirrorView.state.sliceDoc(from, to);
+    if (selected && !selected.includes('\n')) {
+        elements.searchInput.value = selected;
+        search.query = selected;
+    }
+
+    search.open = true;
+    elements.searchBar.classList.remove('hidden');
+    elements.searchToggle.classList.add('active');
+    elements.searchInput.focus();
+    elements.searchInput.select();
+
+    updateSearch(editor, from);
+}
+
+function closeSearch(editor) {
+    const { search, elements, codemirrorView, milkdownEditor } = editor;
+    if (!search.open) return;
+
+    search.open = false;
+    search.matches = [];
+    search.current = -1;
+    elements.searchBar.classList.add('hidden');
+    elements.searchToggle.classList.remove('active');
+
+    codemirrorView.dispatch({ effects: setSearchMatches.of(null) });
+    milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        view.dispatch(view.state.tr.setMeta(searchHighlightKey, null));
+    });
+    codemirrorView.focus();
+}
+
+function initializeSearch(editor) {
+    const { search, elements } = editor;
+    const { root, searchBar, searchToggle, searchInput, replaceInput } = elements;
+
+    listen(editor, root, 'keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            openSearch(editor);
+        } else if (e.key === 'Escape' && search.open && searchBar.contains(e.target)) {
+            e.preventDefault();
+            closeSearch(editor);
+        }
+    });
+
+    listen(editor, searchToggle, 'click', () => {
+        if (search.open) closeSearch(editor);
+        else openSearch(editor);
+    });
+
+    listen(editor, searchInput, 'input', () => {
+        search.query = searchInput.value;
+        updateSearch(editor, editor.codemirrorView.state.selection.main.from);
+        if (search.current !== -1) selectMatch(editor, search.current);
+    });
+    listen(editor, searchInput, 'keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepMatch(editor, e.shiftKey ? -1 : 1);
+        }
+    });
+
+    listen(editor, replaceInput, 'input', () => {
+        search.replacement = replaceInput.value;
+    });
+    listen(editor, replaceInput, 'keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            replaceMatches(editor, e.ctrlKey || e.metaKey);
+        }
+    });
+
+    for (const button of searchBar.querySelectorAll('[data-option]')) {
+        listen(editor, button, 'click', () => {
+            const option = button.dataset.option;
+            search[option] = !search[option];
+            button.classList.toggle('active', search[option]);
+            updateSearch(editor);
+        });
+    }
+
+    const actions = {
+        previous: () => stepMatch(editor, -1),
+        next: () => stepMatch(editor, 1),
+        replace: () => replaceMatches(editor, false),
+        replaceAll: () => replaceMatches(editor, true),
+        close: () => closeSearch(editor)
+    };
+    for (const button of searchBar.querySelectorAll('[data-search]')) {
+        listen(editor, button, 'click', () => actions[button.dataset.search]());
+    }
+}
+
+// Rebuild the outline from the headings of the synced markdown
+function updateOutline(editor) {
+    const { outline, elements, codemirrorView } = editor;
+    if (!outline.open) return;
+
+    // Rebuilt again once the panes are synced
+    const map = getPositionMap(editor);
+    if (!map) return;
+
+    outline.headings = buildOutline(map.tree, map.markdown);
+    outline.current = -1;
+
+    elements.outlineList.replaceChildren(...outline.headings.map((heading, index) => {
+        const item = document.createElement('li');
+        item.className = 'outline-item';
+        item.dataset.index = index;
+        item.draggable = true;
+        item.style.paddingLeft = `${heading.depth * 0.75}rem`;
+        item.textContent = heading.text || 'Untitled';
+        item.title = heading.text;
+        return item;
+    }));
+    elements.outlineList.classList.toggle('empty', !outline.headings.length);
+
+    updateOutlineCurrent(editor, codemirrorView.state.selection.main.head);
+}
+
+// Highlight the entry of the section containing a source offset
+function updateOutlineCurrent(editor, offset) {
+    const { outline, elements } = editor;
+    if (!outline.open) return;
+
+    const index = sectionAt(outline.headings, offset);
+    if (index === outline.current) return;
+    outline.current = index;
+
+    for (const item of elements.outlineList.children) {
+        const current = Number(item.dataset.index) === index;
+        item.classList.toggle('current', current);
+        if (current && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function followRichSelection(editor, selection) {
+    const map = getPositionMap(editor);
+    if (map && map.doc === selection.$head.doc) {
+        updateOutlineCurrent(editor, map.toSource(selection.head));
+    }
+}
+
+// Put the cursor of both panes at the start of a heading's text
+function goToHeading(editor, index) {
+    const heading = editor.outline.headings[index];
+    if (!heading || !editor.syncManager.coordinator.flush()) return;
+
+    placeCursor(editor, heading.textFrom);
+    if (editor.mode === 'rich') {
+        editor.milkdownEditor.action((ctx) => ctx.get(editorViewCtx).focus());
+    } else {
+        editor.codemirrorView.focus();
+    }
+}
+
+// Replace the markdown through the source pane, as a user edit that is
+// synced and recorded in the history like any other
+function applySourceEdit(editor, markdown, userEvent) {
+    const { codemirrorView, syncManager } = editor;
+    const change = diffText(codemirrorView.state.doc.toString(), markdown);
+    if (!change) return;
+
+    codemirrorView.dispatch({ changes: change, userEvent });
+    syncManager.coordinator.flush();
+}
+
+function moveOutlineSection(editor, index, target, after) {
+    const { outline, syncManager } = editor;
+    if (!syncManager.coordinator.flush()) return;
+
+    const markdown = moveSection(syncManager.coordinator.base, outline.headings, index, target, after);
+    if (markdown) applySourceEdit(editor, markdown, 'move.section');
+}
+
+function insertToc(editor) {
+    const { syncManager, codemirrorView } = editor;
+    if (!syncManager.coordinator.flush()) return;
+
+    const map = getPositionMap(editor);
+    if (!map) return;
+
+    const headings = buildOutline(map.tree, map.markdown);
+    const markdown = updateToc(map.markdown, headings, codemirrorView.state.selection.main.head);
+    applySourceEdit(editor, markdown, 'input.toc');
+}
+
+// Show or hide the outline sidebar
+function setOutlineOpen(editor, open) {
+    const { outlineToggle, outlineSidebar } = editor.elements;
+    editor.outline.open = open;
+    outlineSidebar.classList.toggle('hidden', !open);
+    outlineToggle.classList.toggle('active', open);
+    updateOutline(editor);
+}
+
+function initializeOutline(editor) {
+    const { outline, elements } = editor;
+    const { outlineToggle, outlineSidebar, outlineList } = elements;
+
+    listen(editor, outlineToggle, 'click', () => {
+        setOutlineOpen(editor, !outline.open);
+        persistSettings(editor);
+    });
+
+    listen(editor, outlineSidebar.querySelector('[data-outline="toc"]'), 'click', () => insertToc(editor));
+
+    listen(editor, outlineList, 'click', (e) => {
+        const item = e.target.closest('.outline-item');
+        if (item) goToHeading(editor, Number(item.dataset.index));
+    });
+
+    // Dragging an entry moves its whole section
+    function clearDropMarkers() {
+        for (const item of outlineList.children) {
+            item.classList.remove('drop-before', 'drop-after', 'dragging');
+        }
+    }
+
+    function dropPosition(e) {
+        const item = e.target.closest('.outline-item');
+        if (!item) return null;
+        const rect = item.getBoundingClientRect();
+        return { item, after: e.clientY > rect.top + rect.height / 2 };
+    }
+
+    listen(editor, outlineList, 'dragstart', (e) => {
+        const item = e.target.closest('.outline-item');
+        if (!item) return;
+
+        outline.dragIndex = Number(item.dataset.index);
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.textContent);
+    });
+
+    listen(editor, outlineList, 'dragover', (e) => {
+        const position = outline.dragIndex !== null && dropPosition(e);
+        if (!position) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        for (const item of outlineList.children) {
+            item.classList.toggle('drop-before', item === position.item && !position.after);
+            item.classList.toggle('drop-after', item === position.item && position.after);
+        }
+    });
+
+    listen(editor, outlineList, 'drop', (e) => {
+        const position = outline.dragIndex !== null && dropPosition(e);
+        if (!position) return;
+
+        e.preventDefault();
+        const index = outline.dragIndex;
+        outline.dragIndex = null;
+        clearDropMarkers();
+        moveOutlineSection(editor, index, Number(position.item.dataset.index), position.after);
+    });
+
+    listen(editor, outlineList, 'dragend', () => {
+        outline.dragIndex = null;
+        clearDropMarkers();
+    });
+}
+
+// Lint source of CodeMirror: find the problems of the document and show
+// them in the status bar and the rich pane
+function lintDocument(editor, view) {
+    const { lint, milkdownEditor, workspace } = editor;
+    // Linted again once Milkdown is ready, see initializeLint()
+    if (!milkdownEditor) return [];
+
+    const markdown = view.state.doc.toString();
+    const tree = milkdownEditor.action((ctx) => parseTree(ctx.get(remarkCtx), markdown));
+
+    lint.markdown = markdown;
+    lint.files = documentNamesKey(editor);
+    lint.findings = lintMarkdown(markdown, tree, {
+        // Rules set in the front matter replace the instance's options
+        rules: { ...lint.rules, ...documentLintRules(markdown) },
+        files: workspace.documents.map((doc) => doc.name)
+    });
+
+    updateLintStatus(editor);
+    showLintMarkers(editor);
+
+    return lint.findings.map((finding) => ({
+        from: finding.from,
+        to: finding.to,
+        severity: finding.severity,
+        message: finding.message,
+        source: finding.rule,
+        actions: finding.fix ? [{
+            name: finding.fix.label,
+            apply: (view, from, to) => view.dispatch({
+                changes: { from, to, insert: finding.fix.insert },
+                userEvent: 'input.lint'
+            })
+        }] : []
+    }));
+}
+
+// The set of document names, in a form that can be compared
+function documentNamesKey(editor) {
+    return JSON.stringify(editor.workspace.documents.map((doc) => doc.name).sort());
+}
+
+// Run the linter again, e.g. after its rules changed
+function relint(editor) {
+    const { codemirrorView } = editor;
+    if (!editor.options.lint || !codemirrorView) return;
+
+    codemirrorView.dispatch({ effects: refreshLint.of(null) });
+    forceLinting(codemirrorView);
+}
+
+function updateLintStatus(editor) {
+    const { lintStatus } = editor.elements;
+    const { findings } = editor.lint;
+
+    lintStatus.textContent = `Problems: ${findings.length}`;
+    lintStatus.classList.toggle('warning', findings.some((finding) => finding.severity !== 'info'));
+}
+
+// Mark the findings in the rich pane
+function showLintMarkers(editor) {
+    const { lint, milkdownEditor } = editor;
+    if (!editor.options.lint) return;
+
+    // The rich pane is marked again once the panes are synced
+    const map = getPositionMap(editor);
+    if (!map || map.markdown !== lint.markdown) return;
+
+    const markers = lint.findings.map((finding) => ({
+        from: map.toDoc(finding.from),
+        to: map.toDoc(finding.to),
+        severity: finding.severity,
+        message: finding.message
+    }));
+    milkdownEditor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        view.dispatch(view.state.tr
+            .setMeta(lintMarkerKey, markers));
+    });
+}
+
+function initializeLint(editor) {
+    const { lintStatus } = editor.elements;
+
+    if (!editor.options.lint) {
+        lintStatus.classList.add('hidden');
+        return;
     }
+
+    listen(editor, lintStatus, 'click', () => {
+        if (!closeLintPanel(editor.codemirrorView)) openLintPanel(editor.codemirrorView);
+    });
+
+    relint(editor);
 }
 
-// Initialize scroll sync (optional)
-function initializeScrollSync() {
-    if (!syncManager.scrollSync) return;
+// Initialize block-anchored scroll sync
+function initializeScrollSync(editor) {
+    const { syncManager, codemirrorView, milkdownEditor } = editor;
+    const cmScroller = codemirrorView.scrollDOM;
+    const mdScroller = editor.elements.milkdownContainer;
+    const toggle = editor.elements.scrollSyncToggle;
+
+    let anchors = null;
+    let anchorsMap = null;
+    let frame = null;
+
+    // Panes whose next scroll event was caused by us and must be ignored,
+    // otherwise the two listeners keep correcting each other
+    const ignore = { source: false, rich: false };
+
+    function getAnchors() {
+        const map = getPositionMap(editor);
+        if (!map) return anchors;
+
+        if (!anchors || anchorsMap !== map) {
+            milkdownEditor.action((ctx) => {
+                anchors = buildScrollAnchors(map, codemirrorView, ctx.get(editorViewCtx), mdScroller);
+            });
+            anchorsMap = map;
+        }
+        return anchors;
+    }
+
+    function invalidateAnchors() {
+        anchors = null;
+    }
+
+    function syncScroll(from) {
+        const current = getAnchors();
+        if (!current) return;
+
+        const [source, target, to] = from === 'source'
+            ? [cmScroller, mdScroller, 'rich']
+            : [mdScroller, cmScroller, 'source'];
 
-    const cmEditor = document.querySelector('#codemirror-editor .cm-scroller');
-    const mdEditor = document.getElementById('milkdown-editor');
+        const top = Math.round(mapScrollTop(current, from, to, source.scrollTop));
+        if (Math.abs(target.scrollTop - top) < 1) return;
 
-    if (!cmEditor || !mdEditor) return;
+        ignore[to] = true;
+        target.scrollTop = top;
+        // Scroll events fire before animation frames, release afterwards
+        requestAnimationFrame(() => requestAnimationFrame(() => {
+            ignore[to] = false;
+        }));
+    }
 
-    let isScrolling = false;
+    function onScroll(from) {
+        if (!editor.settings.preferences.scrollSync || ignore[from]) return;
+        if (frame) cancelAnimationFrame(frame);
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            syncScroll(from);
+        });
+    }
 
-    // Sync scroll from CodeMirror to Milkdown
-    cmEditor.addEventListener('scroll', () => {
-        if (isScrolling) return;
-        isScrolling = true;
+    listen(editor, cmScroller, 'scroll', () => onScroll('source'));
+    listen(editor, mdScroller, 'scroll', () => onScroll('rich'));
+    editor.cleanups.push(() => cancelAnimationFrame(frame));
 
-        const scrollPercent = cmEditor.scrollTop / (cmEditor.scrollHeight - cmEditor.clientHeight);
-        mdEditor.scrollTop = scrollPercent * (mdEditor.scrollHeight - mdEditor.clientHeight);
+    // Rendered heights change with content, images loading and resizing
+    const resizeObserver = new ResizeObserver(invalidateAnchors);
+    resizeObserver.observe(codemirrorView.contentDOM);
+    resizeObserver.observe(mdScroller.firstElementChild || mdScroller);
+    editor.cleanups.push(() => resizeObserver.disconnect());
+    listen(editor, window, 'resize', invalidateAnchors);
 
-        setTimeout(() => { isScrolling = false; }, 50);
+    listen(editor, toggle, 'click', () => {
+        setPreferences(editor, { scrollSync: !editor.settings.preferences.scrollSync });
     });
 
-    // Sync scroll from Milkdown to CodeMirror
-    mdEditor.addEventListener('scroll', () => {
-        if (isScrolling) return;
-        isScrolling = true;
+    syncManager.alignScroll = () => syncScroll('source');
+}
 
-        const scrollPercent = mdEditor.scrollTop / (mdEditor.scrollHeight - mdEditor.clientHeight);
-        cmEditor.scrollTop = scrollPercent * (cmEditor.scrollHeight - cmEditor.clientHeight);
+// Key the settings of a workspace are stored under in localStorage
+function settingsKey(workspace) {
+    return `md-editor:${workspace}:settings`;
+}
 
-        setTimeout(() => { isScrolling = false; }, 50);
+// Store the preferences and the current layout for the next session
+function persistSettings(editor) {
+    const { options, settings, elements } = editor;
+    if (!options.persistSettings) return;
+
+    saveSettings(settingsKey(editor.workspace.name), {
+        preferences: settings.preferences,
+        layout: {
+            mode: editor.mode,
+            split: settings.split,
+            sidebar: !elements.workspaceSidebar.classList.contains('hidden'),
+            outline: editor.outline.open
+        }
     });
 }
 
-// Initialize the application
-async function initialize() {
-    console.log('Initializing Dual-Pane Markdown Editor...');
+// Show the preferences in both panes and the toolbar
+function applyPreferences(editor) {
+    const { settings, elements, codemirrorView, syncManager } = editor;
+    const { preferences } = settings;
+    const theme = resolveTheme(preferences.theme);
+
+    elements.root.classList.toggle('theme-light', theme === 'light');
+    elements.root.classList.toggle('theme-dark', theme === 'dark');
+    elements.root.style.setProperty('--editor-font-size', `${preferences.fontSize}px`);
+
+    codemirrorView.dispatch({
+        effects: settings.compartment.reconfigure(codemirrorPreferences(preferences))
+    });
+    syncManager.coordinator.delay = preferences.debounceDelay;
+
+    const toggle = elements.scrollSyncToggle;
+    toggle.classList.toggle('active', preferences.scrollSync);
+    toggle.textContent = preferences.scrollSync ? 'Scroll Sync: On' : 'Scroll Sync: Off';
+}
+
+// Change some preferences, e.g. { theme: 'light' }. Throws on unknown
+// preferences and invalid values, leaving all of them unchanged.
+function setPreferences(editor, changes) {
+    for (const [name, value] of Object.entries(changes)) {
+        if (!isValidPreference(name, value)) {
+            throw new Error(`Invalid value for the ${name} preference: ${value}`);
+        }
+    }
+
+    Object.assign(editor.settings.preferences, changes);
+    applyPreferences(editor);
+    renderSettings(editor);
+    persistSettings(editor);
+
+    if (changes.scrollSync) {
+        editor.syncManager.alignScroll();
+    }
+}
+
+// Show the preferences in the settings panel
+function renderSettings(editor) {
+    const { preferences } = editor.settings;
+
+    for (const control of editor.elements.settingsPanel.querySelectorAll('[name]')) {
+        if (control.type === 'checkbox') {
+            control.checked = preferences[control.name];
+        } else {
+            control.value = String(preferences[control.name]);
+        }
+    }
+}
+
+function initializeSettings(editor) {
+    const { settingsToggle, settingsPanel } = editor.elements;
+
+    listen(editor, settingsToggle, 'click', () => {
+        settingsPanel.classList.toggle('hidden');
+    });
+
+    // Close the panel on any click outside of it
+    listen(editor, document, 'click', (e) => {
+        if (!settingsToggle.parentElement.contains(e.target)) {
+            settingsPanel.classList.add('hidden');
+        }
+    });
+
+    listen(editor, settingsPanel, 'change', (e) => {
+        const control = e.target;
+        let value = control.type === 'checkbox' ? control.checked : control.value;
+        if (control.type === 'number') {
+            const number = value === '' ? NaN : Math.round(Number(value));
+            value = Math.min(Number(control.max), Math.max(Number(control.min), number));
+        }
 
-    // Initialize CodeMirror
-    initializeCodeMirror();
+        if (isValidPreference(control.name, value)) {
+            setPreferences(editor, { [control.name]: value });
+        } else {
+            // Empty or not a number
+            renderSettings(editor);
+        }
+    });
 
-    // Initialize Milkdown
-    await initializeMilkdown();
+    listen(editor, settingsPanel.querySelector('[data-settings="reset"]'), 'click', () => {
+        setPreferences(editor, editor.settings.defaults);
+    });
 
-    // Initialize UI components
-    initializeDivider();
-    initializeToolbar();
+    // The system theme follows changes of the OS color scheme
+    const colorScheme = systemColorScheme();
+    if (colorScheme) {
+        listen(editor, colorScheme, 'change', () => {
+            if (editor.settings.preferences.theme === 'system') applyPreferences(editor);
+        });
+    }
 
-    // Initialize scroll sync (optional - disabled by default)
-    initializeScrollSync();
+    applyPreferences(editor);
+    renderSettings(editor);
+}
+
+// Show the layout of the last session, see persistSettings()
+function restoreLayout(editor, layout) {
+    setSidebarOpen(editor, layout.sidebar);
+    setOutlineOpen(editor, layout.outline);
+    setMode(editor, layout.mode);
+}
+
+function destroy(editor) {
+    const { options } = editor;
+    editor.destroyed = true;
+    if (options.autosave || options.persistSettings) {
+        persistedWorkspaces.delete(options.workspace);
+    }
+    editor.syncManager.coordinator.cancel();
+    clearTimeout(editor.syncManager.roundTripTimer);
+    clearTimeout(editor.workspace.autosaveTimer);
+
+    for (const cleanup of editor.cleanups.splice(0)) {
+        cleanup();
+    }
 
-    console.log('Dual-Pane Markdown Editor initialized successfully!');
+    editor.codemirrorView.destroy();
+    editor.milkdownEditor.destroy();
+    editor.elements.root.remove();
+    editor.listeners = {};
 }
 
-// Start the application
-document.addEventListener('DOMContentLoaded', initialize);
\ No newline at end of file
+// Create an editor inside `container`. Resolves to the public instance
+// once both panes are ready.
+export async function create(container, options = {}) {
+    if (!container) {
+        throw new Error('MarkdownEditor.create() needs a container element');
+    }
+
+    options = { ...defaultOptions, ...options };
+
+    const persists = options.autosave || options.persistSettings;
+    if (persists && persistedWorkspaces.has(options.workspace)) {
+        throw new Error(`Another editor already stores the workspace "${options.workspace}"; pass a unique workspace option`);
+    }
+
+    // Preferences and the layout of the last session win over the options
+    const stored = options.persistSettings ? loadSettings(settingsKey(options.workspace)) : {};
+    const defaults = normalizePreferences(null, options);
+    const layout = normalizeLayout(stored.layout, {
+        mode: options.mode,
+        split: null,
+        sidebar: true,
+        outline: false
+    }, modes);
+
+    // The initial document is stored once it is edited
+    const initialDocument = createDocument(options.fileName, options.initialValue);
+
+    // Private per-instance state
+    const editor = {
+        options,
+        mode: layout.mode,
+        elements: createElements(container),
+        codemirrorView: null,
+        milkdownEditor: null,
+        listeners: {},
+        cleanups: [],
+        history: initialDocument.history, // The active document's history
+        settings: {
+            preferences: normalizePreferences(stored.preferences, defaults), // Of the settings panel
+            defaults, // From the options, restored by the panel's reset button
+            split: layout.split, // Width of the source pane in split mode in percent, or null
+            compartment: new Compartment() // Source pane extensions of the preferences
+        },
+        outline: {
+            open: false,
+            headings: [], // See buildOutline()
+            current: -1, // Section containing the cursor
+            dragIndex: null
+        },
+        lint: {
+            rules: options.lintRules, // Overridden per document by its front matter
+            markdown: null, // Markdown the findings are for
+            files: null, // Document names they were checked against, see documentNamesKey()
+            findings: [] // See lintMarkdown()
+        },
+        search: {
+            open: false,
+            query: '',
+            replacement: '',
+            caseSensitive: false,
+            wholeWord: false,
+            regex: false,
+            matches: [], // Source ranges, see findMatches()
+            current: -1,
+            error: null
+        },
+        destroyed: false,
+        document: initialDocument, // Active document, see switchDocument()
+        workspace: {
+            name: options.workspace,
+            documents: [initialDocument],
+            openIds: [initialDocument.id], // Documents shown as tabs
+            ready: false, // Stored in IndexedDB, see initializeWorkspace()
+            sessionReady: false, // The restore prompt was answered, see initializeWorkspace()
+            autosaveTimer: null
+        },
+        syncManager: {
+            coordinator: null, // See initializeSync()
+            roundTripTimer: null,
+            positionMap: null, // Source <-> document position map, see getPositionMap()
+            applyingToRich: false, // A sync is being dispatched to Milkdown, see syncToMilkdown()
+            alignScroll: null // Scrolls the rich pane to the source pane, see initializeScrollSync()
+        }
+    };
+
+    // Reserved before waiting for Milkdown, so that a second create()
+    // cannot take the name in the meantime
+    if (persists) persistedWorkspaces.add(options.workspace);
+    try {
+        initializeCodeMirror(editor);
+        await initializeMilkdown(editor);
+    } catch (error) {
+        if (persists) persistedWorkspaces.delete(options.workspace);
+        for (const cleanup of editor.cleanups.splice(0)) {
+            cleanup();
+        }
+        if (editor.codemirrorView) editor.codemirrorView.destroy();
+        editor.elements.root.remove();
+        throw error;
+    }
+    initializeSync(editor);
+
+    initializeDivider(editor);
+    initializeToolbar(editor);
+    initializeScrollSync(editor);
+    initializeRoundTripCheck(editor);
+    initializeFiles(editor);
+    initializeExport(editor);
+    initializeImages(editor);
+    initializeSearch(editor);
+    initializeOutline(editor);
+    initializeLint(editor);
+    initializeSettings(editor);
+    restoreLayout(editor, layout);
+    initializeWorkspace(editor);
+
+    return {
+        // Current markdown, including edits still waiting to be synced.
+        // While a conflict is unresolved this is the source pane's content.
+        getMarkdown() {
+            editor.syncManager.coordinator.flush();
+            return editor.codemirrorView.state.doc.toString();
+        },
+
+        // Replace the document in both panes, starting a fresh history
+        setMarkdown(markdown) {
+            editor.syncManager.coordinator.replace(markdown);
+            editor.history.clear();
+            renderWorkspace(editor);
+            updateFileStatus(editor);
+            scheduleAutosave(editor);
+        },
+
+        // Pick a markdown file and open it in a new tab. Resolves to false
+        // if nothing was opened.
+        open() {
+            return openFile(editor);
+        },
+
+        // Download the document as `name`, or a name the user is asked for
+        saveAs(name) {
+            return saveFileAs(editor, name);
+        },
+
+        getFileName() {
+            return editor.document.name;
+        },
+
+        // Whether there are changes that were not saved to a file
+        isDirty() {
+            return isDirty(editor);
+        },
+
+        // Documents of the workspace: [{ id, name, open, active, dirty }]
+        getDocuments() {
+            return editor.workspace.documents.map((doc) => ({
+                id: doc.id,
+                name: doc.name,
+                open: editor.workspace.openIds.includes(doc.id),
+                active: doc === editor.document,
+                dirty: isDocumentDirty(editor, doc)
+            }));
+        },
+
+        // Create a document and show it in a new tab. Returns its id.
+        newDocument(name, markdown) {
+            return newDocument(editor, name, markdown).id;
+        },
+
+        switchDocument(id) {
+            return switchDocument(editor, id);
+        },
+
+        closeDocument(id) {
+            return closeDocument(editor, id);
+        },
+
+        renameDocument(id, name) {
+            return renameDocument(editor, id, name);
+        },
+
+        // Remove a document from the workspace without asking
+        deleteDocument(id) {
+            return deleteDocument(editor, id, true);
+        },
+
+        // Headings of the document: [{ depth, text, id }]
+        getOutline() {
+            editor.syncManager.coordinator.flush();
+            const map = getPositionMap(editor);
+            return map
+                ? buildOutline(map.tree, map.markdown).map(({ depth, text, id }) => ({ depth, text, id }))
+                : [];
+        },
+
+        // Insert a table of contents at the cursor, or refresh the existing one
+        insertToc() {
+            insertToc(editor);
+        },
+
+        // Lint findings: [{ from, to, line, rule, severity, message }]
+        getProblems() {
+            const { lint, codemirrorView } = editor;
+            if (lint.markdown !== codemirrorView.state.doc.toString()) {
+                lintDocument(editor, codemirrorView);
+            }
+            return lint.findings.map(({ from, to, rule, severity, message }) => ({
+                from,
+                to,
+                line: codemirrorView.state.doc.lineAt(from).number,
+                rule,
+                severity,
+                message
+            }));
+        },
+
+        // Blocks whose markdown would change if edited in the rich pane
+        checkRoundTrip() {
+            editor.syncManager.coordinator.flush();
+            return updateRoundTripStatus(editor) || [];
+        },
+
+        // Replace the instance's lint rule options
+        setLintRules(rules) {
+            editor.lint.rules = rules || {};
+            relint(editor);
+        },
+
+        // Export as 'html', 'pdf' (through the print dialog) or 'markdown'
+        exportDocument(format) {
+            return exportDocument(editor, format);
+        },
+
+        undo() {
+            undo(editor);
+        },
+
+        redo() {
+            redo(editor);
+        },
+
+        // 'pending', 'synced', 'conflict' or 'error'
+        getSyncState() {
+            return editor.syncManager.coordinator.state;
+        },
+
+        // Resolve a sync conflict keeping 'source', 'rich' or 'both'
+        resolveConflict(choice) {
+            editor.syncManager.coordinator.resolve(choice);
+        },
+
+        // Subscribe to an event ('change', 'conflict', 'switch'); returns an
+        // unsubscribe function
+        on(event, handler) {
+            const handlers = editor.listeners[event] || (editor.listeners[event] = []);
+            handlers.push(handler);
+            return () => {
+                const index = handlers.indexOf(handler);
+                if (index !== -1) handlers.splice(index, 1);
+            };
+        },
+
+        setMode(mode) {
+            setMode(editor, mode);
+            persistSettings(editor);
+        },
+
+        // Preferences of the settings panel: { theme, fontSize,
+        // lineWrapping, lineNumbers, debounceDelay, scrollSync }
+        getPreferences() {
+            return { ...editor.settings.preferences };
+        },
+
+        // Change some preferences; they are kept for the next session
+        setPreferences(changes) {
+            setPreferences(editor, changes);
+        },
+
+        getMode() {
+            return editor.mode;
+        },
+
+        destroy() {
+            if (editor.destroyed) return;
+            destroy(editor);
+        }
+    };
+}
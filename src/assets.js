@@ -0,0 +1,273 @@
+// Images pasted or dropped into the editor. They are kept in IndexedDB
+// as the assets of a workspace, referenced from the markdown by relative
+// paths like `assets/photo-1a2b3c4d.png`, and shown in Milkdown through
+// a node view that also resizes them and edits their alt text.
+//
+// The display width of an image is kept in the fragment of its source,
+// `assets/photo-1a2b3c4d.png#width=320`, so it survives as plain markdown.
+
+import { imageSchema } from '@milkdown/preset-commonmark';
+import { $view } from '@milkdown/utils';
+import { getRecord, putRecord } from './storage.js';
+
+const ASSET_DIR = 'assets/';
+
+// Object URLs of loaded assets by record id. They live as long as the page.
+const assetUrls = new Map();
+
+export function isImageFile(file) {
+    return file.type.startsWith('image/');
+}
+
+// Image files of a paste or a drop
+export function getImageFiles(dataTransfer) {
+    const files = dataTransfer ? Array.from(dataTransfer.files) : [];
+    return files.filter(isImageFile);
+}
+
+// Split an image source into its path and the width from its fragment
+export function parseImageSource(src) {
+    const match = /^([^#]*)(?:#width=(\d+))?$/.exec(src || '');
+    return match
+        ? { path: match[1].replace(/^\.\//, ''), width: match[2] ? Number(match[2]) : null }
+        : { path: src, width: null };
+}
+
+export function imageSource(path, width) {
+    return width ? `${path}#width=${Math.round(width)}` : path;
+}
+
+// Markdown of an image
+export function imageMarkdown(alt, src) {
+    const text = alt.replace(/[[\]\\]/g, '\\$&');
+    const url = /[\s()<>]/.test(src) ? `<${src}>` : src;
+    return `![${text}](${url})`;
+}
+
+// Alt text for an image file: its name without the extension
+export function altText(file) {
+    return file.name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || 'image';
+}
+
+// Store an image file in the assets of `workspace`. Resolves to its
+// relative path, which is the same for the same content.
+export async function storeAsset(workspace, file) {
+    const path = await assetPath(file);
+    await putRecord('assets', {
+        id: assetId(workspace, path),
+        workspace,
+        path,
+        name: file.name,
+        type: file.type,
+        blob: file,
+        createdAt: Date.now()
+    });
+    return path;
+}
+
+// Blob of a stored asset, or null
+export async function loadAsset(workspace, src) {
+    const { path } = parseImageSource(src);
+    if (!path.startsWith(ASSET_DIR)) return null;
+
+    const record = await getRecord('assets', assetId(workspace, path));
+    return record ? record.blob : null;
+}
+
+// URL the browser can show an image source with: an object URL for
+// stored assets, the source itself otherwise
+export async function resolveImageUrl(workspace, src) {
+    const { path } = parseImageSource(src);
+    if (!path.startsWith(ASSET_DIR)) return src;
+
+    const id = assetId(workspace, path);
+    if (!assetUrls.has(id)) {
+        const blob = await loadAsset(workspace, path).catch((error) => {
+            console.warn(`Could not load asset ${path}:`, error);
+            return null;
+        });
+        // Missing assets may still exist next to the page
+        if (!blob) return src;
+        assetUrls.set(id, URL.createObjectURL(blob));
+    }
+    return assetUrls.get(id);
+}
+
+function assetId(workspace, path) {
+    return `${workspace}/${path}`;
+}
+
+// `assets/<name>-<content hash>.<extension>`
+async function assetPath(file) {
+    const extension = (/\.([a-z\d]+)$/i.exec(file.name) || [])[1]
+        || file.type.replace(/^image\//, '').replace(/\+.*$/, '')
+        || 'png';
+    const name = file.name.replace(/\.[^.]+$/, '').toLowerCase()
+        .replace(/[^a-z\d]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'image';
+    return `${ASSET_DIR}${name}-${await contentHash(file)}.${extension.toLowerCase()}`;
+}
+
+async function contentHash(file) {
+    const data = await file.arrayBuffer();
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest).slice(0, 4), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // FNV-1a where Web Crypto is not available (insecure origins)
+    let hash = 0x811c9dc5;
+    for (const byte of new Uint8Array(data)) {
+        hash = Math.imul(hash ^ byte, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Milkdown: markdown images without a title or alt text have null ones,
+// which the image schema rejects. Called from Editor.config().
+export function configureImageSchema(ctx) {
+    ctx.update(imageSchema.key, (schema) => (ctx) => {
+        const spec = schema(ctx);
+        return {
+            ...spec,
+            parseMarkdown: {
+                ...spec.parseMarkdown,
+                runner: (state, node, type) => spec.parseMarkdown.runner(state, {
+                    ...node,
+                    alt: node.alt || '',
+                    title: node.title || ''
+                }, type)
+            }
+        };
+    });
+}
+
+// Milkdown: images with a resize handle and an alt text input, shown
+// from `resolveUrl(src)`, which resolves to a displayable URL
+export function imageView(resolveUrl) {
+    return $view(imageSchema.node, () => (node, view, getPos) => {
+        const dom = document.createElement('span');
+        dom.className = 'image-view';
+
+        const img = document.createElement('img');
+        img.draggable = false;
+
+        const handle = document.createElement('span');
+        handle.className = 'image-resize';
+        handle.title = 'Drag to resize';
+
+        const input = document.createElement('input');
+        input.className = 'image-alt-input';
+        input.placeholder = 'Alt text';
+        input.spellcheck = false;
+        input.hidden = true;
+
+        dom.append(img, handle, input);
+
+        let shownSrc = null;
+
+        function render() {
+            const { src, alt, title } = node.attrs;
+            const { width } = parseImageSource(src);
+            img.alt = alt;
+            img.title = title || alt;
+            img.style.width = width ? `${width}px` : '';
+
+            if (src === shownSrc) return;
+            shownSrc = src;
+            resolveUrl(src).then((url) => {
+                // The source may have changed while it was loading
+                if (shownSrc === src) img.src = url;
+            });
+        }
+
+        function setAttrs(attrs) {
+            const pos = getPos();
+            if (pos === undefined) return;
+            view.dispatch(view.state.tr.setNodeMarkup(pos, null, { ...node.attrs, ...attrs }));
+        }
+
+        // Alt text: double-click to edit, Enter commits, Escape cancels
+        function edit() {
+            if (!input.hidden) return;
+            input.value = node.attrs.alt;
+            input.hidden = false;
+            dom.classList.add('editing');
+            input.focus();
+            input.select();
+        }
+
+        function close() {
+            input.hidden = true;
+            dom.classList.remove('editing');
+        }
+
+        function commit() {
+            if (input.hidden) return;
+            const alt = input.value.trim();
+            close();
+            if (alt !== node.attrs.alt) setAttrs({ alt });
+        }
+
+        img.addEventListener('dblclick', edit);
+        input.addEventListener('blur', commit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+                view.focus();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                commit();
+                view.focus();
+            }
+        });
+
+        // Resize: the width follows the pointer and is stored on release
+        handle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            const startX = e.clientX;
+            const startWidth = img.getBoundingClientRect().width || img.naturalWidth;
+            let width = startWidth;
+            dom.classList.add('resizing');
+
+            function move(event) {
+                width = Math.max(32, startWidth + event.clientX - startX);
+                img.style.width = `${width}px`;
+            }
+
+            function release() {
+                window.removeEventListener('pointermove', move);
+                window.removeEventListener('pointerup', release);
+                dom.classList.remove('resizing');
+                if (width === startWidth) return;
+
+                const { path } = parseImageSource(node.attrs.src);
+                setAttrs({ src: imageSource(path, width) });
+            }
+
+            window.addEventListener('pointermove', move);
+            window.addEventListener('pointerup', release);
+        });
+
+        render();
+
+        return {
+            dom,
+            update(updated) {
+                if (updated.type !== node.type) return false;
+                node = updated;
+                render();
+                return true;
+            },
+            selectNode() {
+                dom.classList.add('ProseMirror-selectednode');
+            },
+            deselectNode() {
+                dom.classList.remove('ProseMirror-selectednode');
+            },
+            // The input and the handle handle their own events
+            stopEvent: (event) => event.target === input || event.target === handle,
+            ignoreMutation: () => true
+        };
+    });
+}
@@ -0,0 +1,101 @@
+// Handle next to the top-level block under the pointer in the rich pane:
+// drag it to move the block, or click + to add a paragraph below that
+// opens the slash menu. From the keyboard, Alt+ArrowUp and Alt+ArrowDown
+// move the block containing the cursor.
+
+import { editorViewCtx } from '@milkdown/core';
+import { BlockProvider, block, blockConfig } from '@milkdown/plugin-block';
+import { paragraphSchema } from '@milkdown/preset-commonmark';
+import { keymap } from '@milkdown/prose/keymap';
+import { NodeSelection, TextSelection } from '@milkdown/prose/state';
+import { $prose } from '@milkdown/utils';
+
+// Called from Editor.config()
+export function configureBlockHandle(ctx) {
+    // Only whole top-level blocks are moved
+    ctx.set(blockConfig.key, { filterNodes: ($pos) => $pos.depth === 0 });
+    ctx.set(block.key, { view: () => createHandle(ctx) });
+}
+
+function createHandle(ctx) {
+    const element = document.createElement('div');
+    element.className = 'block-handle';
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'block-add';
+    add.title = 'Add a block below';
+    add.textContent = '+';
+
+    const grip = document.createElement('span');
+    grip.className = 'block-grip';
+    grip.title = 'Drag to move (Alt+Up/Down)';
+    grip.textContent = '⠿';
+
+    element.append(add, grip);
+
+    const provider = new BlockProvider({
+        ctx,
+        content: element,
+        getOffset: () => 8
+    });
+
+    // The block service selects the block on mousedown anywhere in the
+    // handle, which would make the click replace it
+    add.addEventListener('mousedown', (e) => e.stopPropagation());
+    add.addEventListener('click', () => {
+        const { active } = provider;
+        if (!active) return;
+
+        const view = ctx.get(editorViewCtx);
+        const pos = active.$pos.pos + active.node.nodeSize;
+        const paragraph = paragraphSchema.type(ctx).create(null, view.state.schema.text('/'));
+        const tr = view.state.tr.insert(pos, paragraph);
+        view.dispatch(tr.setSelection(TextSelection.create(tr.doc, pos + 2)).scrollIntoView());
+        view.focus();
+        provider.hide();
+    });
+
+    return {
+        update: () => provider.update(),
+        destroy: () => provider.destroy()
+    };
+}
+
+// Swap the top-level block containing the selection with its neighbour
+// above (-1) or below (1)
+export function moveBlock(direction) {
+    return (state, dispatch) => {
+        const { selection, doc } = state;
+        const index = selection.$from.index(0);
+        const target = index + direction;
+        if (selection.$to.index(0) !== index && !(selection instanceof NodeSelection)) return false;
+        if (target < 0 || target >= doc.childCount) return false;
+        if (!dispatch) return true;
+
+        let nodeStart = 0;
+        for (let i = 0; i < index; i++) nodeStart += doc.child(i).nodeSize;
+
+        const node = doc.child(index);
+        const other = doc.child(target);
+        const from = direction < 0 ? nodeStart - other.nodeSize : nodeStart;
+        const content = direction < 0 ? [node, other] : [other, node];
+        const tr = state.tr.replaceWith(from, from + node.nodeSize + other.nodeSize, content);
+
+        // Keep the selection inside the moved block
+        const delta = (direction < 0 ? from : from + other.nodeSize) - nodeStart;
+        tr.setSelection(selection instanceof NodeSelection
+            ? NodeSelection.create(tr.doc, selection.from + delta)
+            : TextSelection.create(tr.doc, selection.anchor + delta, selection.head + delta));
+
+        dispatch(tr.scrollIntoView());
+        return true;
+    };
+}
+
+const blockKeymap = $prose(() => keymap({
+    'Alt-ArrowUp': moveBlock(-1),
+    'Alt-ArrowDown': moveBlock(1)
+}));
+
+export const blockHandle = [block, blockKeymap].flat();
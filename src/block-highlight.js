@@ -0,0 +1,70 @@
+// Highlight of the block linked to the selection in the other pane:
+// source lines in CodeMirror, a block node in Milkdown.
+
+import { StateEffect, StateField } from '@codemirror/state';
+import { Decoration as CMDecoration, EditorView } from '@codemirror/view';
+import { Plugin, PluginKey } from '@milkdown/prose/state';
+import { Decoration, DecorationSet } from '@milkdown/prose/view';
+import { $prose } from '@milkdown/utils';
+
+// CodeMirror: effect carrying { from, to } source offsets, or null to clear
+export const setSourceHighlight = StateEffect.define();
+
+const linkedLine = CMDecoration.line({ class: 'cm-linked-block' });
+
+export const sourceHighlightField = StateField.define({
+    create() {
+        return CMDecoration.none;
+    },
+    update(decorations, tr) {
+        decorations = decorations.map(tr.changes);
+
+        for (const effect of tr.effects) {
+            if (!effect.is(setSourceHighlight)) continue;
+            if (!effect.value) {
+                decorations = CMDecoration.none;
+                continue;
+            }
+
+            const { doc } = tr.state;
+            const first = doc.lineAt(Math.min(effect.value.from, doc.length));
+            const last = doc.lineAt(Math.min(effect.value.to, doc.length));
+            const lines = [];
+            for (let n = first.number; n <= last.number; n++) {
+                lines.push(linkedLine.range(doc.line(n).from));
+            }
+            decorations = CMDecoration.set(lines);
+        }
+
+        return decorations;
+    },
+    provide: (field) => EditorView.decorations.from(field)
+});
+
+// Milkdown: transaction meta carrying { from, to } node positions, or null
+export const blockHighlightKey = new PluginKey('block-highlight');
+
+export const blockHighlightPlugin = $prose(() => new Plugin({
+    key: blockHighlightKey,
+    state: {
+        init() {
+            return DecorationSet.empty;
+        },
+        apply(tr, decorations) {
+            const range = tr.getMeta(blockHighlightKey);
+            if (range === undefined) {
+                return decorations.map(tr.mapping, tr.doc);
+            }
+            if (!range) return DecorationSet.empty;
+
+            return DecorationSet.create(tr.doc, [
+                Decoration.node(range.from, range.to, { class: 'linked-block' })
+            ]);
+        }
+    },
+    props: {
+        decorations(state) {
+            return blockHighlightKey.getState(state);
+        }
+    }
+}));
@@ -0,0 +1,72 @@
+// Minimal-range diffing used by the sync layer so that only the changed
+// part of a document is dispatched to the other pane.
+
+// Keep diff boundaries off the middle of a UTF-16 surrogate pair
+function isHighSurrogate(code) {
+    return code >= 0xd800 && code <= 0xdbff;
+}
+
+function isLowSurrogate(code) {
+    return code >= 0xdc00 && code <= 0xdfff;
+}
+
+// Compute the single changed range between two strings.
+// Returns null when they are identical, otherwise a CodeMirror style
+// change spec: { from, to, insert } expressed in oldText offsets.
+export function diffText(oldText, newText) {
+    if (oldText === newText) return null;
+
+    const minLength = Math.min(oldText.length, newText.length);
+
+    // Common prefix
+    let start = 0;
+    while (start < minLength && oldText.charCodeAt(start) === newText.charCodeAt(start)) {
+        start++;
+    }
+    if (start > 0 && isHighSurrogate(oldText.charCodeAt(start - 1))) {
+        start--;
+    }
+
+    // Common suffix, never overlapping the prefix
+    let oldEnd = oldText.length;
+    let newEnd = newText.length;
+    while (
+        oldEnd > start &&
+        newEnd > start &&
+        oldText.charCodeAt(oldEnd - 1) === newText.charCodeAt(newEnd - 1)
+    ) {
+        oldEnd--;
+        newEnd--;
+    }
+    if (oldEnd < oldText.length && isLowSurrogate(oldText.charCodeAt(oldEnd))) {
+        oldEnd++;
+        newEnd++;
+    }
+
+    return {
+        from: start,
+        to: oldEnd,
+        insert: newText.slice(start, newEnd)
+    };
+}
+
+// Compute the changed range between two ProseMirror documents.
+// Returns null when the documents are equal, otherwise
+// { from, to, toB } where from/to are positions in oldDoc and
+// from/toB the matching range in newDoc.
+export function diffDocs(oldDoc, newDoc) {
+    const start = oldDoc.content.findDiffStart(newDoc.content);
+    if (start == null) return null;
+
+    let { a: endA, b: endB } = oldDoc.content.findDiffEnd(newDoc.content);
+
+    // findDiffEnd can run past the start when the change sits inside
+    // repeated content; push both ends forward so the ranges stay valid
+    const overlap = start - Math.min(endA, endB);
+    if (overlap > 0) {
+        endA += overlap;
+        endB += overlap;
+    }
+
+    return { from: start, to: endA, toB: endB };
+}
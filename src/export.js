@@ -0,0 +1,162 @@
+// Export of the rich pane's document model as a standalone HTML page,
+// which can also be printed through the browser.
+
+import { DOMSerializer } from '@milkdown/prose/model';
+import { LanguageDescription } from '@codemirror/language';
+import { languages } from '@codemirror/language-data';
+import { highlightCode, classHighlighter } from '@lezer/highlight';
+
+import { renderMath } from './math.js';
+import { renderDiagram } from './mermaid.js';
+import { parseImageSource } from './assets.js';
+import styles from '../styles.css';
+
+// Render `doc` into a detached element, the way the rich pane shows it.
+// `loadImage(src)` resolves to the blob of an image source, or null to
+// fetch it.
+export async function renderDocument(doc, schema, loadImage) {
+    const container = document.createElement('div');
+    container.className = 'editor';
+    container.appendChild(DOMSerializer.fromSchema(schema).serializeFragment(doc.content));
+
+    await Promise.all([
+        ...Array.from(container.querySelectorAll('pre[data-language]'), highlightBlock),
+        ...Array.from(container.querySelectorAll('img[src]'), (img) => embedImage(img, loadImage)),
+        ...Array.from(container.querySelectorAll('pre[data-language="mermaid"]'), embedDiagram)
+    ]);
+
+    // MathML needs no stylesheet or fonts in the exported page
+    for (const element of container.querySelectorAll('[data-type="math-inline"], [data-type="math-block"]')) {
+        renderMath(element.dataset.value, element, element.dataset.type === 'math-block', 'mathml');
+    }
+
+    return container;
+}
+
+// A self-contained HTML page: styles, highlighted code and images are
+// all inlined
+export async function exportHtml(doc, schema, title, loadImage) {
+    const content = await renderDocument(doc, schema, loadImage);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+${styles}
+</style>
+</head>
+<body class="md-export">
+<main class="milkdown">
+${content.outerHTML}
+</main>
+</body>
+</html>
+`;
+}
+
+// Print the exported page from a hidden frame, so the browser's print
+// dialog can save it as PDF. Resolves once the dialog was opened.
+export async function printHtml(html) {
+    const frame = document.createElement('iframe');
+    frame.className = 'print-frame';
+    frame.setAttribute('aria-hidden', 'true');
+
+    const loaded = new Promise((resolve) => {
+        frame.addEventListener('load', resolve, { once: true });
+    });
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+    await loaded;
+
+    const win = frame.contentWindow;
+    win.addEventListener('afterprint', () => frame.remove(), { once: true });
+    win.focus();
+    win.print();
+}
+
+// Replace the code of a block with lezer highlighted spans
+async function highlightBlock(pre) {
+    const description = LanguageDescription.matchLanguageName(languages, pre.dataset.language, true);
+    if (!description) return;
+
+    let support;
+    try {
+        support = await description.load();
+    } catch (error) {
+        console.warn(`Could not load ${description.name} highlighting:`, error);
+        return;
+    }
+
+    const code = pre.querySelector('code') || pre;
+    const text = code.textContent;
+    const tree = support.language.parser.parse(text);
+
+    const output = document.createDocumentFragment();
+    highlightCode(
+        text,
+        tree,
+        classHighlighter,
+        (token, classes) => {
+            if (!classes) {
+                output.appendChild(document.createTextNode(token));
+                return;
+            }
+            const span = document.createElement('span');
+            span.className = classes;
+            span.textContent = token;
+            output.appendChild(span);
+        },
+        () => output.appendChild(document.createTextNode('\n'))
+    );
+    code.replaceChildren(output);
+}
+
+// Add the rendered diagram after its code, as in the rich pane
+async function embedDiagram(pre) {
+    const element = document.createElement('div');
+    element.className = 'mermaid-diagram';
+    pre.after(element);
+    await renderDiagram(pre.textContent, element);
+}
+
+// Inline an image as a data URL, sized as in the rich pane. Images that
+// cannot be loaded keep their original source.
+async function embedImage(img, loadImage) {
+    const src = img.getAttribute('src');
+    if (src.startsWith('data:')) return;
+
+    const { width } = parseImageSource(src);
+    if (width) img.setAttribute('width', width);
+
+    try {
+        let blob = loadImage ? await loadImage(src) : null;
+        if (!blob) {
+            const response = await fetch(new URL(src, document.baseURI));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            blob = await response.blob();
+        }
+        img.setAttribute('src', await readAsDataUrl(blob));
+    } catch (error) {
+        console.warn(`Could not embed image ${src}:`, error);
+    }
+}
+
+function readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
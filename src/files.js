@@ -0,0 +1,65 @@
+// Reading and writing local markdown files: file picker, download and
+// drag-and-drop.
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdown', '.mkd', '.txt'];
+
+export function isMarkdownFile(file) {
+    const name = file.name.toLowerCase();
+    return file.type === 'text/markdown' || MARKDOWN_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+// Let the user pick a markdown file. Resolves to { name, text }, or null
+// when the picker is dismissed.
+export function openMarkdownFile() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = [...MARKDOWN_EXTENSIONS, 'text/markdown'].join(',');
+
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) {
+                resolve(null);
+                return;
+            }
+            readMarkdownFile(file).then(resolve, reject);
+        });
+        input.addEventListener('cancel', () => resolve(null));
+
+        input.click();
+    });
+}
+
+export async function readMarkdownFile(file) {
+    return { name: file.name, text: await file.text() };
+}
+
+// First markdown file of a drop, or null
+export function getDroppedMarkdownFile(dataTransfer) {
+    const files = dataTransfer ? Array.from(dataTransfer.files) : [];
+    return files.find(isMarkdownFile) || null;
+}
+
+export function hasDraggedFiles(dataTransfer) {
+    return !!dataTransfer && Array.from(dataTransfer.types).includes('Files');
+}
+
+// Offer `markdown` as a download named `name`
+export function saveMarkdownFile(name, markdown) {
+    downloadFile(name, markdown, 'text/markdown;charset=utf-8');
+}
+
+export function downloadFile(name, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
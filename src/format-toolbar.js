@@ -0,0 +1,168 @@
+// Formatting toolbar shown over a text selection in the rich pane.
+// Alt+F10 moves the focus into it, the arrow keys move between its
+// buttons and Escape goes back to the text.
+
+import { commandsCtx } from '@milkdown/core';
+import { TooltipProvider, tooltipFactory } from '@milkdown/plugin-tooltip';
+import { TextSelection } from '@milkdown/prose/state';
+import {
+    toggleStrongCommand,
+    toggleEmphasisCommand,
+    toggleInlineCodeCommand,
+    toggleLinkCommand,
+    strongSchema,
+    emphasisSchema,
+    inlineCodeSchema,
+    linkSchema
+} from '@milkdown/preset-commonmark';
+import { toggleStrikethroughCommand, strikethroughSchema } from '@milkdown/preset-gfm';
+
+export const formatToolbar = tooltipFactory('format-toolbar');
+
+const actions = [
+    { name: 'bold', label: 'B', title: 'Bold (Ctrl+B)', mark: strongSchema, command: toggleStrongCommand },
+    { name: 'italic', label: 'I', title: 'Italic (Ctrl+I)', mark: emphasisSchema, command: toggleEmphasisCommand },
+    { name: 'strike', label: 'S', title: 'Strikethrough', mark: strikethroughSchema, command: toggleStrikethroughCommand },
+    { name: 'code', label: '</>', title: 'Inline code', mark: inlineCodeSchema, command: toggleInlineCodeCommand },
+    // Asks for the target first, see editLink()
+    { name: 'link', label: 'Link', title: 'Link', mark: linkSchema, command: toggleLinkCommand }
+];
+
+// Called from Editor.config()
+export function configureFormatToolbar(ctx) {
+    let toolbar = null;
+
+    ctx.set(formatToolbar.key, {
+        view: (view) => (toolbar = createToolbar(ctx, view)),
+        props: {
+            handleKeyDown: (view, event) => !!toolbar && toolbar.handleKey(event)
+        }
+    });
+}
+
+function createToolbar(ctx, view) {
+    const element = document.createElement('div');
+    element.className = 'format-toolbar';
+    element.setAttribute('role', 'toolbar');
+    element.setAttribute('aria-label', 'Formatting');
+
+    const buttons = actions.map((action) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `format-button format-${action.name}`;
+        button.textContent = action.label;
+        button.title = action.title;
+        button.setAttribute('aria-pressed', 'false');
+
+        // Keep the selection; keyboard users activate the focused button
+        button.addEventListener('mousedown', (e) => e.preventDefault());
+        button.addEventListener('click', () => apply(action));
+        return button;
+    });
+
+    const linkInput = document.createElement('input');
+    linkInput.className = 'format-link-input';
+    linkInput.placeholder = 'https://';
+    linkInput.spellcheck = false;
+    linkInput.hidden = true;
+
+    element.append(...buttons, linkInput);
+
+    const provider = new TooltipProvider({
+        content: element,
+        debounce: 50,
+        offset: 8,
+        shouldShow(view) {
+            const { selection, doc } = view.state;
+            const focused = view.hasFocus() || element.contains(document.activeElement);
+            if (!focused || selection.empty || !(selection instanceof TextSelection)) return false;
+            if (selection.$from.parent.type.spec.code) return false;
+
+            updateActive(view.state);
+            return doc.textBetween(selection.from, selection.to).trim().length > 0;
+        }
+    });
+    provider.onHide = closeLink;
+
+    function isActive(state, action) {
+        const { from, to } = state.selection;
+        return state.doc.rangeHasMark(from, to, action.mark.type(ctx));
+    }
+
+    function updateActive(state) {
+        actions.forEach((action, index) => {
+            const active = isActive(state, action);
+            buttons[index].classList.toggle('active', active);
+            buttons[index].setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    function apply(action) {
+        if (action.name === 'link' && !isActive(view.state, action)) {
+            editLink();
+            return;
+        }
+        ctx.get(commandsCtx).call(action.command.key);
+        updateActive(view.state);
+    }
+
+    // Link target: Enter links the selection, Escape cancels
+    function editLink() {
+        for (const button of buttons) button.hidden = true;
+        linkInput.hidden = false;
+        linkInput.value = '';
+        linkInput.focus();
+    }
+
+    function closeLink() {
+        for (const button of buttons) button.hidden = false;
+        linkInput.hidden = true;
+    }
+
+    linkInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const href = linkInput.value.trim();
+            closeLink();
+            view.focus();
+            if (href) ctx.get(commandsCtx).call(toggleLinkCommand.key, { href });
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeLink();
+            view.focus();
+        }
+    });
+    linkInput.addEventListener('blur', () => {
+        if (!linkInput.hidden) closeLink();
+    });
+
+    element.addEventListener('keydown', (e) => {
+        if (e.target === linkInput) return;
+
+        const visible = buttons.filter((button) => !button.hidden);
+        const index = visible.indexOf(document.activeElement);
+        if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+            e.preventDefault();
+            const step = e.key === 'ArrowRight' ? 1 : -1;
+            visible[(index + step + visible.length) % visible.length].focus();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            view.focus();
+        }
+    });
+
+    function handleKey(event) {
+        if (event.key !== 'F10' || !event.altKey || element.dataset.show !== 'true') return false;
+        buttons[0].focus();
+        return true;
+    }
+
+    return {
+        handleKey,
+        update: (view, prevState) => provider.update(view, prevState),
+        destroy() {
+            provider.destroy();
+            element.remove();
+        }
+    };
+}
@@ -0,0 +1,144 @@
+// YAML front matter: a dedicated node in Milkdown, shown as an editable
+// metadata panel. Invalid YAML is flagged in both panes; CodeMirror
+// highlights it with yamlFrontmatter() from @codemirror/lang-yaml.
+
+import { StateField } from '@codemirror/state';
+import { Decoration as CMDecoration, EditorView } from '@codemirror/view';
+import { $node, $remark, $view } from '@milkdown/utils';
+import remarkFrontmatter from 'remark-frontmatter';
+import { parseDocument } from 'yaml';
+
+// Check front matter text. Returns null, or { message, line } with the
+// 1-based line of the first error within the YAML.
+export function validateYaml(text) {
+    const doc = parseDocument(text, { prettyErrors: false });
+    const error = doc.errors[0];
+    if (!error) return null;
+
+    return {
+        message: error.message.split('\n')[0],
+        line: error.linePos ? error.linePos[0].line : 1
+    };
+}
+
+// Front matter at the start of a markdown text: { from, to, value } with
+// `from` and `to` spanning the fences, or null
+export function findFrontMatter(text) {
+    const match = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?=\r?\n|$)/.exec(text);
+    if (!match) return null;
+    return { from: 0, to: match[0].length, value: match[1] || '' };
+}
+
+// CodeMirror: mark the line of the first YAML error
+export const frontMatterErrorField = StateField.define({
+    create(state) {
+        return errorDecorations(state.doc);
+    },
+    update(decorations, tr) {
+        return tr.docChanged ? errorDecorations(tr.state.doc) : decorations;
+    },
+    provide: (field) => EditorView.decorations.from(field)
+});
+
+function errorDecorations(doc) {
+    // Front matter is short, only the first lines need to be read
+    const head = doc.sliceString(0, Math.min(doc.length, 64 * 1024));
+    const frontMatter = findFrontMatter(head);
+    if (!frontMatter) return CMDecoration.none;
+
+    const error = validateYaml(frontMatter.value);
+    if (!error) return CMDecoration.none;
+
+    // The YAML starts on the line after the opening fence
+    const line = doc.line(Math.min(error.line + 1, doc.lines));
+    return CMDecoration.set([
+        CMDecoration.line({
+            class: 'cm-frontmatter-error',
+            attributes: { title: `Invalid front matter: ${error.message}` }
+        }).range(line.from)
+    ]);
+}
+
+// Milkdown: parse `---` fenced YAML at the start of the document
+export const remarkFrontMatter = $remark('remarkFrontMatter', () => remarkFrontmatter, ['yaml']);
+
+export const frontMatterNode = $node('front_matter', () => ({
+    group: 'block',
+    atom: true,
+    selectable: true,
+    attrs: {
+        value: { default: '' }
+    },
+    parseDOM: [{
+        tag: 'div[data-type="front-matter"]',
+        getAttrs: (dom) => ({ value: dom.textContent })
+    }],
+    toDOM: (node) => ['div', { 'data-type': 'front-matter', class: 'front-matter' }, ['pre', node.attrs.value]],
+    parseMarkdown: {
+        match: ({ type }) => type === 'yaml',
+        runner: (state, node, type) => {
+            state.addNode(type, { value: node.value });
+        }
+    },
+    toMarkdown: {
+        match: (node) => node.type.name === 'front_matter',
+        runner: (state, node) => {
+            state.addNode('yaml', undefined, node.attrs.value);
+        }
+    }
+}));
+
+// Milkdown: edit the YAML in a textarea and show whether it is valid
+export const frontMatterView = $view(frontMatterNode, () => (node, view, getPos) => {
+    const dom = document.createElement('div');
+    dom.className = 'front-matter';
+    dom.dataset.type = 'front-matter';
+    dom.contentEditable = 'false';
+
+    const header = document.createElement('div');
+    header.className = 'front-matter-header';
+    const label = document.createElement('span');
+    label.textContent = 'Front matter';
+    const status = document.createElement('span');
+    status.className = 'front-matter-status';
+    header.append(label, status);
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'front-matter-input';
+    textarea.spellcheck = false;
+
+    dom.append(header, textarea);
+
+    function render(value) {
+        if (textarea.value !== value) textarea.value = value;
+        textarea.rows = Math.max(value.split('\n').length, 1);
+
+        const error = validateYaml(value);
+        dom.classList.toggle('invalid', !!error);
+        status.textContent = error ? `Line ${error.line}: ${error.message}` : '';
+    }
+
+    textarea.addEventListener('input', () => {
+        const pos = getPos();
+        if (pos === undefined) return;
+
+        view.dispatch(view.state.tr.setNodeMarkup(pos, null, { value: textarea.value }));
+    });
+
+    render(node.attrs.value);
+
+    return {
+        dom,
+        update(updated) {
+            if (updated.type !== node.type) return false;
+            node = updated;
+            render(node.attrs.value);
+            return true;
+        },
+        // The textarea handles its own input
+        stopEvent: (event) => event.target === textarea,
+        ignoreMutation: () => true
+    };
+});
+
+export const frontMatter = [remarkFrontMatter, frontMatterNode, frontMatterView].flat();
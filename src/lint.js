@@ -0,0 +1,332 @@
+// Markdown lint rules run over the mdast tree and the source text, and
+// the markers showing their findings in Milkdown. CodeMirror shows them
+// through @codemirror/lint, see initializeCodeMirror().
+
+import { StateEffect } from '@codemirror/state';
+import { Plugin, PluginKey } from '@milkdown/prose/state';
+import { Decoration, DecorationSet } from '@milkdown/prose/view';
+import { $prose } from '@milkdown/utils';
+import { parse } from 'yaml';
+import { findFrontMatter } from './front-matter.js';
+import { headingId } from './outline.js';
+
+// Options of every rule. A rule is configured with `false` to turn it
+// off, `true` for these defaults, or an object overriding some of them.
+export const defaultLintRules = {
+    'heading-increment': { severity: 'warning' },
+    'duplicate-heading': { severity: 'warning' },
+    'broken-link': { severity: 'warning' },
+    'empty-link': { severity: 'warning' },
+    'list-marker': { severity: 'info' },
+    'trailing-whitespace': { severity: 'info' },
+    'line-length': { severity: 'info', max: 120 }
+};
+
+// Find the problems of a markdown text. Returns [{ from, to, rule,
+// severity, message, fix }] in source offsets, where `fix` is null or
+// { label, insert } replacing [from, to].
+//
+// `rules` overrides defaultLintRules; `files` lists the names relative
+// links may point to, or is null to not check them.
+export function lintMarkdown(markdown, tree, { rules = {}, files = null } = {}) {
+    const context = {
+        markdown,
+        files,
+        nodes: collectNodes(tree),
+        lines: splitLines(markdown)
+    };
+
+    const findings = [];
+    for (const [rule, defaults] of Object.entries(defaultLintRules)) {
+        const config = rules[rule] ?? true;
+        if (!config) continue;
+
+        const options = config === true ? defaults : { ...defaults, ...config };
+        for (const finding of checks[rule](context, options)) {
+            findings.push({ rule, severity: options.severity, fix: null, ...finding });
+        }
+    }
+
+    return findings.sort((a, b) => a.from - b.from || a.to - b.to);
+}
+
+// Rules set by the document itself under `lint:` in its front matter,
+// e.g. `lint: { line-length: { max: 80 }, trailing-whitespace: false }`
+export function documentLintRules(markdown) {
+    const frontMatter = findFrontMatter(markdown);
+    if (!frontMatter) return {};
+
+    try {
+        const data = parse(frontMatter.value);
+        const rules = data && data.lint;
+        return rules && typeof rules === 'object' && !Array.isArray(rules) ? rules : {};
+    } catch (error) {
+        // Invalid YAML is reported by the front matter field
+        return {};
+    }
+}
+
+const checks = {
+    // A heading more than one level deeper than the previous one
+    'heading-increment'({ nodes, markdown }) {
+        const findings = [];
+        let previous = null;
+
+        for (const heading of nodes.heading) {
+            if (previous && heading.depth > previous.depth + 1) {
+                const from = heading.position.start.offset;
+                const marker = /^#+/.exec(markdown.slice(from));
+                const depth = previous.depth + 1;
+                findings.push({
+                    from,
+                    to: marker ? from + marker[0].length : heading.position.end.offset,
+                    message: `Heading level ${heading.depth} follows level ${previous.depth}`,
+                    fix: marker ? { label: `Make level ${depth}`, insert: '#'.repeat(depth) } : null
+                });
+            }
+            previous = heading;
+        }
+        return findings;
+    },
+
+    // Headings getting the same id, so links can only reach the first one
+    'duplicate-heading'({ nodes, lines }) {
+        const findings = [];
+        const seen = new Map();
+
+        for (const heading of nodes.heading) {
+            const id = headingId(plainText(heading).trim());
+            if (!id) continue;
+
+            const first = seen.get(id);
+            if (first === undefined) {
+                seen.set(id, heading.position.start.offset);
+                continue;
+            }
+            findings.push({
+                from: heading.position.start.offset,
+                to: heading.position.end.offset,
+                message: `Duplicate heading id "${id}", first used on line ${lineNumber(lines, first)}`
+            });
+        }
+        return findings;
+    },
+
+    // Anchors without a heading, and links to documents not in `files`
+    'broken-link'({ nodes, files }) {
+        const ids = new Set(nodes.heading.map((heading) => headingId(plainText(heading).trim())));
+        const findings = [];
+
+        for (const node of [...nodes.link, ...nodes.definition]) {
+            const url = node.url || '';
+            let message = null;
+
+            if (url.startsWith('#') && url.length > 1) {
+                const id = safeDecode(url.slice(1));
+                if (!ids.has(id)) message = `No heading with the id "${id}"`;
+            } else if (files) {
+                const name = documentPath(url);
+                if (name && !files.includes(name)) message = `No document named "${name}"`;
+            }
+
+            if (message) {
+                findings.push({ from: node.position.start.offset, to: node.position.end.offset, message });
+            }
+        }
+        return findings;
+    },
+
+    // Links without a target or without text
+    'empty-link'({ nodes, markdown }) {
+        const findings = [];
+
+        for (const node of nodes.link) {
+            const from = node.position.start.offset;
+            const to = node.position.end.offset;
+            // Autolinks have no brackets and always have a target
+            if (markdown[from] !== '[') continue;
+
+            const children = node.children.filter((child) => child.position);
+            if (!node.url || node.url === '#') {
+                const text = children.length
+                    ? markdown.slice(children[0].position.start.offset, children[children.length - 1].position.end.offset)
+                    : '';
+                findings.push({
+                    from,
+                    to,
+                    message: 'Link has no target',
+                    fix: { label: 'Remove link', insert: text }
+                });
+            } else if (!plainText(node).trim() && !children.some((child) => child.type === 'image')) {
+                findings.push({ from, to, message: 'Link has no text' });
+            }
+        }
+        return findings;
+    },
+
+    // Bullet lists using another marker than the first bullet list
+    'list-marker'({ nodes, markdown }) {
+        const findings = [];
+        let expected = null;
+
+        for (const list of nodes.list) {
+            if (list.ordered) continue;
+
+            for (const item of list.children) {
+                const offset = item.position.start.offset;
+                const marker = markdown[offset];
+                if (!expected) expected = marker;
+                if (marker === expected) continue;
+
+                findings.push({
+                    from: offset,
+                    to: offset + 1,
+                    message: `List marker "${marker}" differs from "${expected}" used before`,
+                    fix: { label: `Use "${expected}"`, insert: expected }
+                });
+            }
+        }
+        return findings;
+    },
+
+    // Spaces at the end of a line, except the two of a hard line break
+    'trailing-whitespace'({ lines }) {
+        const findings = [];
+
+        for (const line of lines) {
+            const match = /[ \t]+$/.exec(line.text);
+            if (!match || match[0] === '  ' && match.index > 0) continue;
+
+            findings.push({
+                from: line.from + match.index,
+                to: line.from + line.text.length,
+                message: 'Trailing whitespace',
+                fix: { label: 'Remove', insert: '' }
+            });
+        }
+        return findings;
+    },
+
+    // Lines longer than `max`, outside of code, HTML, tables and math.
+    // Lines that could only be broken inside a long word (a URL) are fine.
+    'line-length'({ lines, nodes }, { max }) {
+        const skipped = [...nodes.code, ...nodes.html, ...nodes.table, ...nodes.math, ...nodes.yaml]
+            .map((node) => [node.position.start.offset, node.position.end.offset]);
+        const findings = [];
+
+        for (const line of lines) {
+            if (line.text.length <= max || !/\s/.test(line.text.slice(max))) continue;
+            if (skipped.some(([from, to]) => line.from >= from && line.from < to)) continue;
+
+            findings.push({
+                from: line.from + max,
+                to: line.from + line.text.length,
+                message: `Line is ${line.text.length} characters long, more than ${max}`
+            });
+        }
+        return findings;
+    }
+};
+
+// Nodes with a source position by type, in document order
+function collectNodes(tree) {
+    const nodes = {
+        heading: [],
+        link: [],
+        definition: [],
+        list: [],
+        code: [],
+        html: [],
+        table: [],
+        math: [],
+        yaml: []
+    };
+
+    (function visit(node) {
+        if (node.position && nodes[node.type]) nodes[node.type].push(node);
+        for (const child of node.children || []) visit(child);
+    })(tree);
+
+    return nodes;
+}
+
+function splitLines(markdown) {
+    let from = 0;
+    return markdown.split('\n').map((text) => {
+        const line = { from, text: text.replace(/\r$/, '') };
+        from += text.length + 1;
+        return line;
+    });
+}
+
+function lineNumber(lines, offset) {
+    let number = 0;
+    while (number < lines.length - 1 && lines[number + 1].from <= offset) number++;
+    return number + 1;
+}
+
+function plainText(node) {
+    if (typeof node.value === 'string') return node.value;
+    return (node.children || []).map(plainText).join('');
+}
+
+// Document name a relative link points to, or null for other links.
+// Documents are stored flat in the workspace.
+function documentPath(url) {
+    if (/^[a-z][a-z\d+.-]*:|^[/#]/i.test(url)) return null;
+
+    const path = safeDecode(url.replace(/[?#].*$/, '').replace(/^\.\//, ''));
+    return /\.(md|markdown)$/i.test(path) && !path.includes('/') ? path : null;
+}
+
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// CodeMirror: effect asking the linter to run again although the
+// document did not change, e.g. after the rules changed
+export const refreshLint = StateEffect.define();
+
+// Milkdown: transaction meta carrying [{ from, to, severity, message }]
+// in document positions, or null to clear. Findings inside markup have
+// an empty range and mark their whole block.
+export const lintMarkerKey = new PluginKey('lint-markers');
+
+export const lintMarkerPlugin = $prose(() => new Plugin({
+    key: lintMarkerKey,
+    state: {
+        init() {
+            return DecorationSet.empty;
+        },
+        apply(tr, decorations) {
+            const markers = tr.getMeta(lintMarkerKey);
+            if (markers === undefined) {
+                return decorations.map(tr.mapping, tr.doc);
+            }
+            if (!markers) return DecorationSet.empty;
+
+            return DecorationSet.create(tr.doc, markers.flatMap((marker) => {
+                const attrs = { class: `lint-marker lint-${marker.severity}`, title: marker.message };
+                if (marker.from < marker.to) {
+                    return [Decoration.inline(marker.from, marker.to, attrs)];
+                }
+
+                const $pos = tr.doc.resolve(marker.from);
+                if (!$pos.depth) return [];
+                return [Decoration.node($pos.before(1), $pos.after(1), {
+                    class: `lint-block lint-${marker.severity}`,
+                    title: marker.message
+                })];
+            }));
+        }
+    },
+    props: {
+        decorations(state) {
+            return lintMarkerKey.getState(state);
+        }
+    }
+}));
@@ -0,0 +1,141 @@
+// Lossless Milkdown -> markdown serialization.
+//
+// Re-serializing a whole document rewrites formatting the author never
+// touched (emphasis and bullet markers, indentation, escapes, reference
+// links, trailing whitespace). Instead, only the top-level blocks that
+// changed since the last sync are serialized; every other block keeps its
+// original source text.
+
+import { diffText } from './diff.js';
+
+// Serialize `doc` against `map`, the position map of the document and
+// markdown the panes last agreed on. Falls back to a full serialization
+// when the map does not cover every block.
+export function serializeLossless(serializer, map, doc) {
+    const base = map.doc;
+    const { blocks, markdown } = map;
+
+    if (!map.complete) {
+        return serializer(doc);
+    }
+
+    // Unchanged blocks at the start and at the end
+    const oldCount = base.childCount;
+    const newCount = doc.childCount;
+
+    let start = 0;
+    while (start < oldCount && start < newCount && sameBlock(base.child(start), doc.child(start))) {
+        start++;
+    }
+
+    let oldEnd = oldCount;
+    let newEnd = newCount;
+    while (
+        oldEnd > start &&
+        newEnd > start &&
+        sameBlock(base.child(oldEnd - 1), doc.child(newEnd - 1))
+    ) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    if (start === oldEnd && start === newEnd) return markdown;
+
+    const text = newEnd > start
+        ? serializeBlocks(serializer, doc, start, newEnd)
+        : '';
+
+    // Blocks were replaced: swap their source text
+    if (oldEnd > start && newEnd > start) {
+        return splice(markdown, blocks[start].srcFrom, blocks[oldEnd - 1].srcTo, text);
+    }
+
+    // Blocks were inserted between untouched ones
+    if (newEnd > start) {
+        if (start < oldCount) {
+            return splice(markdown, blocks[start].srcFrom, blocks[start].srcFrom, `${text}\n\n`);
+        }
+        if (oldCount > 0) {
+            const end = blocks[oldCount - 1].srcTo;
+            return splice(markdown, end, end, `\n\n${text}`);
+        }
+        return `${text}\n`;
+    }
+
+    // Blocks were deleted: drop them with the blank lines that follow
+    if (oldEnd < oldCount) {
+        return splice(markdown, blocks[start].srcFrom, blocks[oldEnd].srcFrom, '');
+    }
+    if (start > 0) {
+        return splice(markdown, blocks[start - 1].srcTo, blocks[oldCount - 1].srcTo, '');
+    }
+    return '';
+}
+
+// Report blocks whose markdown would change if they were serialized from
+// the rich pane. Returns [{ from, to, original, serialized }] in source
+// offsets. Text the rich pane has no node for, such as link definitions,
+// is reported with an empty `serialized`.
+export function checkRoundTrip(serializer, map) {
+    const { doc, markdown, blocks } = map;
+
+    // Fast path: the whole document survives unchanged
+    const serializedDoc = serializer(doc);
+    if (serializedDoc === markdown) return [];
+
+    // Without a block per node only the overall change can be reported
+    if (!map.complete) {
+        const change = diffText(markdown, serializedDoc);
+        return [{
+            from: change.from,
+            to: change.to,
+            original: markdown.slice(change.from, change.to),
+            serialized: change.insert
+        }];
+    }
+
+    const issues = [];
+    let previousEnd = 0;
+
+    blocks.forEach((block, index) => {
+        // Text between blocks that is not whitespace has no node
+        const between = markdown.slice(previousEnd, block.srcFrom);
+        if (between.trim()) {
+            issues.push({ from: previousEnd, to: block.srcFrom, original: between.trim(), serialized: '' });
+        }
+        previousEnd = block.srcTo;
+
+        const original = markdown.slice(block.srcFrom, block.srcTo);
+        const serialized = serializeBlocks(serializer, doc, index, index + 1);
+        if (original !== serialized) {
+            issues.push({ from: block.srcFrom, to: block.srcTo, original, serialized });
+        }
+    });
+
+    const trailing = markdown.slice(previousEnd);
+    if (trailing.trim()) {
+        issues.push({ from: previousEnd, to: markdown.length, original: trailing.trim(), serialized: '' });
+    }
+
+    return issues;
+}
+
+function sameBlock(a, b) {
+    return a === b || a.eq(b);
+}
+
+// Markdown of the top-level blocks [from, to) of `doc`, without the
+// trailing newline the serializer adds
+function serializeBlocks(serializer, doc, from, to) {
+    const blocks = [];
+    for (let i = from; i < to; i++) {
+        blocks.push(doc.child(i));
+    }
+
+    const fragment = doc.type.create(doc.attrs, blocks);
+    return serializer(fragment).replace(/\n+$/, '');
+}
+
+function splice(text, from, to, insert) {
+    return text.slice(0, from) + insert + text.slice(to);
+}
@@ -0,0 +1,223 @@
+// Math: `$...$` inline and `$$` fenced block math, rendered with KaTeX in
+// Milkdown and edited as source on click, plus a lezer-markdown extension
+// that highlights it in CodeMirror.
+
+import { tags } from '@lezer/highlight';
+import { $node, $remark, $view } from '@milkdown/utils';
+import remarkMath from 'remark-math';
+import katex from 'katex';
+
+const DOLLAR = 36;
+const BACKSLASH = 92;
+
+// Render TeX into `element`. Errors are shown in place of the formula.
+export function renderMath(value, element, displayMode, output = 'htmlAndMathml') {
+    katex.render(value, element, { displayMode, output, throwOnError: false });
+}
+
+// CodeMirror: InlineMath and BlockMath nodes for @codemirror/lang-markdown
+export const mathSyntax = {
+    defineNodes: [
+        { name: 'InlineMath', style: tags.special(tags.string) },
+        { name: 'BlockMath', block: true, style: tags.special(tags.string) },
+        { name: 'MathMark', style: tags.processingInstruction }
+    ],
+    parseInline: [{
+        name: 'InlineMath',
+        parse(cx, next, pos) {
+            if (next !== DOLLAR) return -1;
+
+            let size = 1;
+            while (cx.char(pos + size) === DOLLAR) size++;
+
+            // Closing run of as many dollars as the opening one
+            for (let i = pos + size; i < cx.end; i++) {
+                const ch = cx.char(i);
+                if (ch === BACKSLASH) {
+                    i++;
+                    continue;
+                }
+                if (ch !== DOLLAR) continue;
+
+                let run = 1;
+                while (cx.char(i + run) === DOLLAR) run++;
+                if (run === size && i > pos + size) {
+                    return cx.addElement(cx.elt('InlineMath', pos, i + run, [
+                        cx.elt('MathMark', pos, pos + size),
+                        cx.elt('MathMark', i, i + run)
+                    ]));
+                }
+                i += run - 1;
+            }
+            return -1;
+        },
+        before: 'Escape'
+    }],
+    parseBlock: [{
+        name: 'BlockMath',
+        parse(cx, line) {
+            // As in remark-math, text after the opening fence has no dollars
+            if (!/^\$\$[^$]*$/.test(line.text.slice(line.pos))) return false;
+
+            const from = cx.lineStart + line.pos;
+            const marks = [cx.elt('MathMark', from, from + 2)];
+
+            while (cx.nextLine()) {
+                const close = /^\s*\$\$\s*$/.exec(line.text);
+                if (close) {
+                    const at = cx.lineStart + line.text.indexOf('$$');
+                    marks.push(cx.elt('MathMark', at, at + 2));
+                    cx.nextLine();
+                    break;
+                }
+            }
+
+            cx.addElement(cx.elt('BlockMath', from, cx.prevLineEnd(), marks));
+            return true;
+        },
+        before: 'FencedCode'
+    }]
+};
+
+// Milkdown: parse and stringify math with remark-math
+export const remarkMathPlugin = $remark('remarkMath', () => remarkMath);
+
+export const mathInlineNode = $node('math_inline', () => ({
+    group: 'inline',
+    inline: true,
+    atom: true,
+    selectable: true,
+    attrs: {
+        value: { default: '' }
+    },
+    parseDOM: [{
+        tag: 'span[data-type="math-inline"]',
+        getAttrs: (dom) => ({ value: dom.dataset.value ?? dom.textContent })
+    }],
+    toDOM: (node) => ['span', { 'data-type': 'math-inline', 'data-value': node.attrs.value }, node.attrs.value],
+    parseMarkdown: {
+        match: ({ type }) => type === 'inlineMath',
+        runner: (state, node, type) => {
+            state.addNode(type, { value: node.value });
+        }
+    },
+    toMarkdown: {
+        match: (node) => node.type.name === 'math_inline',
+        runner: (state, node) => {
+            state.addNode('inlineMath', undefined, node.attrs.value);
+        }
+    }
+}));
+
+export const mathBlockNode = $node('math_block', () => ({
+    group: 'block',
+    atom: true,
+    selectable: true,
+    attrs: {
+        value: { default: '' }
+    },
+    parseDOM: [{
+        tag: 'div[data-type="math-block"]',
+        getAttrs: (dom) => ({ value: dom.dataset.value ?? dom.textContent })
+    }],
+    toDOM: (node) => ['div', { 'data-type': 'math-block', 'data-value': node.attrs.value }, node.attrs.value],
+    parseMarkdown: {
+        match: ({ type }) => type === 'math',
+        runner: (state, node, type) => {
+            state.addNode(type, { value: node.value });
+        }
+    },
+    toMarkdown: {
+        match: (node) => node.type.name === 'math_block',
+        runner: (state, node) => {
+            state.addNode('math', undefined, node.attrs.value);
+        }
+    }
+}));
+
+// Rendered formula that turns into a source input when clicked. Enter
+// (Mod-Enter in blocks) or leaving the input applies the edit, Escape
+// drops it.
+function mathView(displayMode) {
+    return () => (node, view, getPos) => {
+        const tag = displayMode ? 'div' : 'span';
+        const dom = document.createElement(tag);
+        dom.className = displayMode ? 'math-block' : 'math-inline';
+        dom.dataset.type = displayMode ? 'math-block' : 'math-inline';
+
+        const preview = document.createElement(tag);
+        preview.className = 'math-preview';
+
+        const input = document.createElement(displayMode ? 'textarea' : 'input');
+        input.className = 'math-input';
+        input.spellcheck = false;
+        input.hidden = true;
+
+        dom.append(preview, input);
+
+        function edit() {
+            if (!input.hidden) return;
+            input.value = node.attrs.value;
+            input.hidden = false;
+            // Block math keeps a live preview next to the source
+            preview.hidden = !displayMode;
+            dom.classList.add('editing');
+            input.focus();
+        }
+
+        function close() {
+            input.hidden = true;
+            preview.hidden = false;
+            dom.classList.remove('editing');
+            renderMath(node.attrs.value, preview, displayMode);
+        }
+
+        function commit() {
+            if (input.hidden) return;
+            const value = input.value;
+            close();
+
+            const pos = getPos();
+            if (pos !== undefined && value !== node.attrs.value) {
+                view.dispatch(view.state.tr.setNodeMarkup(pos, null, { value }));
+            }
+        }
+
+        dom.addEventListener('click', edit);
+        input.addEventListener('blur', commit);
+        input.addEventListener('input', () => {
+            if (displayMode) renderMath(input.value, preview, true);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+                view.focus();
+            } else if (e.key === 'Enter' && (!displayMode || e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                commit();
+                view.focus();
+            }
+        });
+
+        renderMath(node.attrs.value, preview, displayMode);
+
+        return {
+            dom,
+            update(updated) {
+                if (updated.type !== node.type) return false;
+                node = updated;
+                if (input.hidden) renderMath(node.attrs.value, preview, displayMode);
+                return true;
+            },
+            // The input handles its own events
+            stopEvent: (event) => event.target === input,
+            ignoreMutation: () => true
+        };
+    };
+}
+
+export const mathInlineView = $view(mathInlineNode, mathView(false));
+export const mathBlockView = $view(mathBlockNode, mathView(true));
+
+export const math = [remarkMathPlugin, mathInlineNode, mathBlockNode, mathInlineView, mathBlockView].flat();
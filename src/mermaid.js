@@ -0,0 +1,83 @@
+// Mermaid diagrams: ```mermaid code blocks stay editable as code and get a
+// live rendering of the diagram below them, with parse errors shown in
+// its place.
+
+import mermaid from 'mermaid';
+import { Plugin, PluginKey } from '@milkdown/prose/state';
+import { Decoration, DecorationSet } from '@milkdown/prose/view';
+import { $prose } from '@milkdown/utils';
+
+let initialized = false;
+let counter = 0;
+
+// Rendering is slow, results are kept per source
+const cache = new Map();
+const CACHE_SIZE = 50;
+
+// Resolves to { svg } or { error }
+export function renderMermaid(source) {
+    if (cache.has(source)) return cache.get(source);
+
+    if (!initialized) {
+        mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+        initialized = true;
+    }
+
+    const result = mermaid.parse(source)
+        .then(() => mermaid.render(`mermaid-diagram-${++counter}`, source))
+        .then(({ svg }) => ({ svg }), (error) => ({ error: error.message || String(error) }));
+
+    cache.set(source, result);
+    if (cache.size > CACHE_SIZE) {
+        cache.delete(cache.keys().next().value);
+    }
+    return result;
+}
+
+// Fill `element` with the diagram or the error of `source`
+export async function renderDiagram(source, element) {
+    const result = await renderMermaid(source);
+    element.classList.toggle('mermaid-error', !!result.error);
+    if (result.error) {
+        element.textContent = result.error;
+    } else {
+        element.innerHTML = result.svg;
+    }
+}
+
+export function isMermaidBlock(node) {
+    return node.type.name === 'code_block' && node.attrs.language === 'mermaid';
+}
+
+function diagramDecorations(doc) {
+    const decorations = [];
+
+    doc.descendants((node, pos) => {
+        if (!isMermaidBlock(node)) return true;
+
+        const source = node.textContent;
+        decorations.push(Decoration.widget(pos + node.nodeSize, () => {
+            const element = document.createElement('div');
+            element.className = 'mermaid-diagram';
+            element.contentEditable = 'false';
+            renderDiagram(source, element);
+            return element;
+        }, { key: `mermaid:${source}`, side: -1, ignoreSelection: true }));
+        return false;
+    });
+
+    return DecorationSet.create(doc, decorations);
+}
+
+const mermaidKey = new PluginKey('mermaid');
+
+export const mermaidPlugin = $prose(() => new Plugin({
+    key: mermaidKey,
+    state: {
+        init: (_, state) => diagramDecorations(state.doc),
+        apply: (tr, decorations) => tr.docChanged ? diagramDecorations(tr.doc) : decorations
+    },
+    props: {
+        decorations: (state) => mermaidKey.getState(state)
+    }
+}));
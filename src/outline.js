@@ -0,0 +1,113 @@
+// Document outline built from the headings of the markdown: sections,
+// moving a section, and a generated table of contents.
+
+// Markers around a generated table of contents
+const TOC_START = '<!-- toc -->';
+const TOC_END = '<!-- tocstop -->';
+
+// Headings at the top level of the mdast `tree`: [{ depth, text, id,
+// from, textFrom, end }] in source offsets, where [from, end) is the
+// heading's section including its subsections.
+export function buildOutline(tree, markdown) {
+    const headings = (tree.children || [])
+        .filter((node) => node.type === 'heading' && node.position)
+        .map((node) => {
+            const text = plainText(node).trim();
+            const first = node.children[0];
+            return {
+                depth: node.depth,
+                text,
+                id: headingId(text),
+                from: node.position.start.offset,
+                textFrom: first && first.position ? first.position.start.offset : node.position.start.offset,
+                end: markdown.length
+            };
+        });
+
+    // A section ends at the next heading of the same or a higher level
+    headings.forEach((heading, index) => {
+        const next = headings.slice(index + 1).find((other) => other.depth <= heading.depth);
+        if (next) heading.end = next.from;
+    });
+
+    return headings;
+}
+
+// Same ids as Milkdown's default heading id generator, so that links
+// resolve in the rich pane and in exports
+export function headingId(text) {
+    return text.toLowerCase().trim().replace(/\s+/g, '-');
+}
+
+function plainText(node) {
+    if (typeof node.value === 'string') return node.value;
+    return (node.children || []).map(plainText).join('');
+}
+
+// Index of the section containing a source offset, or -1
+export function sectionAt(outline, offset) {
+    let index = -1;
+    for (let i = 0; i < outline.length && outline[i].from <= offset; i++) {
+        index = i;
+    }
+    return index;
+}
+
+// Move the section of outline entry `index` before the entry `target`,
+// or after the whole section of `target`. Returns the new markdown, or
+// null if the section would land inside itself.
+export function moveSection(markdown, outline, index, target, after) {
+    const section = outline[index];
+    const destination = outline[target];
+    let at = after ? destination.end : destination.from;
+    if (at >= section.from && at <= section.end) return null;
+
+    const text = markdown.slice(section.from, section.end).replace(/\s+$/, '');
+    let rest = markdown.slice(0, section.from) + markdown.slice(section.end);
+    if (section.end === markdown.length) {
+        rest = rest.replace(/\s+$/, '\n');
+    }
+    if (at > section.end) at -= section.end - section.from;
+
+    // Sections start at a heading or at the end of the markdown
+    if (at >= rest.length) {
+        return `${rest.replace(/\s+$/, '')}\n\n${text}\n`;
+    }
+    return `${rest.slice(0, at)}${text}\n\n${rest.slice(at)}`;
+}
+
+// Markdown list linking to every heading
+export function generateToc(outline) {
+    if (!outline.length) return '';
+
+    const minDepth = Math.min(...outline.map((heading) => heading.depth));
+    let level = -1;
+
+    return outline.map((heading) => {
+        // Skipped heading levels would nest the list too deep
+        level = Math.min(heading.depth - minDepth, level + 1);
+        const text = heading.text.replace(/[[\]\\]/g, '\\$&');
+        return `${'  '.repeat(level)}- [${text}](#${heading.id})`;
+    }).join('\n');
+}
+
+// Refresh the generated table of contents, or insert one before the
+// line containing `offset`. Returns the new markdown.
+export function updateToc(markdown, outline, offset) {
+    const block = `${TOC_START}\n\n${generateToc(outline)}\n\n${TOC_END}`;
+
+    const start = markdown.indexOf(TOC_START);
+    const end = start === -1 ? -1 : markdown.indexOf(TOC_END, start);
+    if (end !== -1) {
+        return markdown.slice(0, start) + block + markdown.slice(end + TOC_END.length);
+    }
+
+    const lineStart = markdown.lastIndexOf('\n', offset - 1) + 1;
+    const before = markdown.slice(0, lineStart);
+    const after = markdown.slice(lineStart);
+    const separator = !before || before.endsWith('\n\n') ? '' : '\n';
+    const rest = after.replace(/^\n+/, '');
+    return rest
+        ? `${before}${separator}${block}\n\n${rest}`
+        : `${before}${separator}${block}\n`;
+}
@@ -0,0 +1,234 @@
+// Position mapping between markdown source offsets (CodeMirror) and
+// ProseMirror document positions (Milkdown).
+//
+// Top-level blocks are anchored using the source positions remark records
+// on the mdast tree. Inside a block the text of the ProseMirror node is
+// aligned character by character against the block's source slice, which
+// skips over markup such as `**`, `[`, `](url)` or list markers.
+
+import { ParserState } from '@milkdown/transformer';
+
+// Run markdown through Milkdown's remark pipeline. The resulting mdast
+// tree carries the source offsets of every node.
+export function parseTree(remark, markdown) {
+    return remark.runSync(remark.parse(markdown), markdown);
+}
+
+// Parse markdown into a ProseMirror document, keeping the mdast tree so
+// that the document can be mapped back to the source.
+export function parseMarkdown(remark, schema, markdown) {
+    const tree = parseTree(remark, markdown);
+    const doc = new ParserState(schema).next(tree).toDoc();
+    return { tree, doc };
+}
+
+// Fill in the ids of headings the way Milkdown's syncHeadingIdPlugin does
+// in the editor. The parser leaves them empty, so without this a parsed
+// document never compares equal to the one shown in the rich pane.
+export function assignHeadingIds(doc, getId) {
+    const seen = {};
+
+    function visit(node) {
+        if (node.type.name === 'heading') {
+            if (!node.textContent.trim()) return node;
+
+            let id = getId(node);
+            if (seen[id]) {
+                seen[id] += 1;
+                id += `-#${seen[id]}`;
+            } else {
+                seen[id] = 1;
+            }
+            return node.attrs.id === id
+                ? node
+                : node.type.create({ ...node.attrs, id }, node.content, node.marks);
+        }
+        if (node.isTextblock || node.isLeaf) return node;
+
+        let content = node.content;
+        node.forEach((child, offset, index) => {
+            const updated = visit(child);
+            if (updated !== child) content = content.replaceChild(index, updated);
+        });
+        return content === node.content ? node : node.copy(content);
+    }
+
+    return visit(doc);
+}
+
+// Build a position map for `doc`, which must have the same block
+// structure as the mdast `tree` parsed from `markdown`.
+export function buildPositionMap(tree, doc, markdown) {
+    const blocks = [];
+    const children = tree.children || [];
+    const count = Math.min(children.length, doc.childCount);
+
+    let docPos = 0;
+    for (let i = 0; i < doc.childCount; i++) {
+        const node = doc.child(i);
+        const mdNode = i < count ? children[i] : null;
+
+        if (mdNode && mdNode.position) {
+            blocks.push({
+                node,
+                docFrom: docPos,
+                docTo: docPos + node.nodeSize,
+                srcFrom: mdNode.position.start.offset,
+                srcTo: mdNode.position.end.offset,
+                points: null
+            });
+        }
+
+        docPos += node.nodeSize;
+    }
+
+    // Character alignment is only computed for blocks that get queried
+    function getPoints(block) {
+        if (!block.points) {
+            block.points = alignBlock(block, markdown);
+        }
+        return block.points;
+    }
+
+    function blockAtDoc(pos) {
+        if (!blocks.length) return null;
+        let low = 0;
+        let high = blocks.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (blocks[mid].docFrom <= pos) low = mid;
+            else high = mid - 1;
+        }
+        return blocks[low];
+    }
+
+    function blockAtSource(offset) {
+        if (!blocks.length) return null;
+        let low = 0;
+        let high = blocks.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (blocks[mid].srcFrom <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return blocks[low];
+    }
+
+    // ProseMirror position -> markdown offset
+    function toSource(pos) {
+        const block = blockAtDoc(pos);
+        if (!block) return Math.min(pos, markdown.length);
+        if (pos <= block.docFrom) return block.srcFrom;
+        if (pos >= block.docTo) return block.srcTo;
+
+        const points = getPoints(block);
+        const index = lastPointBefore(points, pos, 'doc');
+        if (index === -1) {
+            return points.length ? points[0].src : block.srcFrom;
+        }
+
+        const point = points[index];
+        // A position after a character lands after its source character
+        return pos === point.doc ? point.src : point.src + 1;
+    }
+
+    // Markdown offset -> ProseMirror position
+    function toDoc(offset) {
+        const block = blockAtSource(offset);
+        if (!block) return Math.min(offset, doc.content.size);
+
+        const points = getPoints(block);
+        if (offset >= block.srcTo) {
+            // Between blocks: stay at the end of the preceding block
+            return points.length
+                ? points[points.length - 1].doc + 1
+                : block.docTo - 1;
+        }
+
+        const index = lastPointBefore(points, offset, 'src');
+        if (index === -1) {
+            return points.length ? points[0].doc : block.docFrom + 1;
+        }
+
+        const point = points[index];
+        return offset === point.src ? point.doc : point.doc + 1;
+    }
+
+    return {
+        markdown,
+        doc,
+        tree,
+        blocks,
+        // Every top-level node has exactly one source block
+        complete: children.length === doc.childCount && blocks.length === doc.childCount,
+        blockAtDoc,
+        blockAtSource,
+        toSource,
+        toDoc
+    };
+}
+
+// Greedily align every text character of a block with the next matching
+// character of its source slice. Returns an array of { doc, src } pairs,
+// increasing in both coordinates.
+function alignBlock(block, markdown) {
+    const points = [];
+    const contentStart = block.docFrom + 1;
+    const source = markdown.slice(block.srcFrom, block.srcTo);
+    let cursor = isCodeBlock(block.node) ? skipFence(source, 0) : 0;
+
+    block.node.descendants((child, pos) => {
+        if (isCodeBlock(child)) {
+            cursor = skipFence(source, cursor);
+            return true;
+        }
+        if (!child.isText) return true;
+
+        const text = child.text;
+        for (let i = 0; i < text.length; i++) {
+            const found = source.indexOf(text[i], cursor);
+            if (found === -1) continue;
+
+            points.push({ doc: contentStart + pos + i, src: block.srcFrom + found });
+            cursor = found + 1;
+        }
+        return false;
+    });
+
+    return points;
+}
+
+function isCodeBlock(node) {
+    return node.isTextblock && Boolean(node.type.spec.code);
+}
+
+// Offset after the opening fence line of a fenced code block starting at
+// `cursor`, so that its info string is not aligned with the code. Text
+// between `cursor` and the fence may only be container markup, such as
+// list markers or `>`; indented code blocks have no fence and start at
+// `cursor`.
+function skipFence(source, cursor) {
+    const fence = /(?:`{3,}|~{3,})[^\n]*(?:\n|$)/g;
+    fence.lastIndex = cursor;
+    const match = fence.exec(source);
+    if (!match || !/^[\s>*+\-\d.)]*$/.test(source.slice(cursor, match.index))) {
+        return cursor;
+    }
+    return match.index + match[0].length;
+}
+
+function lastPointBefore(points, value, key) {
+    let low = 0;
+    let high = points.length - 1;
+    let result = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (points[mid][key] <= value) {
+            result = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return result;
+}
@@ -0,0 +1,68 @@
+// Block-anchored scroll mapping between the two panes.
+//
+// Every heading and paragraph gives an anchor: its top offset inside the
+// CodeMirror scroller and inside the Milkdown scroller. Scroll positions
+// are interpolated between neighbouring anchors, so blocks that render at
+// very different heights (code, tables, images) do not make the panes drift.
+
+const ANCHOR_TYPES = ['heading', 'paragraph'];
+
+// Build the sorted anchor list: [{ source, rich }] in scroller pixels
+export function buildScrollAnchors(map, codemirrorView, milkdownView, milkdownScroller) {
+    const cmScroller = codemirrorView.scrollDOM;
+    const cmOffset = codemirrorView.documentTop
+        - cmScroller.getBoundingClientRect().top
+        + cmScroller.scrollTop;
+    const mdOffset = milkdownScroller.scrollTop
+        - milkdownScroller.getBoundingClientRect().top;
+
+    const anchors = [{ source: 0, rich: 0 }];
+
+    for (const block of map.blocks) {
+        if (!ANCHOR_TYPES.includes(block.node.type.name)) continue;
+
+        const dom = milkdownView.nodeDOM(block.docFrom);
+        if (!dom || !dom.getBoundingClientRect) continue;
+
+        const source = codemirrorView.lineBlockAt(block.srcFrom).top + cmOffset;
+        const rich = dom.getBoundingClientRect().top + mdOffset;
+
+        // Keep both coordinates strictly increasing
+        const last = anchors[anchors.length - 1];
+        if (source > last.source && rich > last.rich) {
+            anchors.push({ source, rich });
+        }
+    }
+
+    const end = {
+        source: cmScroller.scrollHeight,
+        rich: milkdownScroller.scrollHeight
+    };
+    const last = anchors[anchors.length - 1];
+    if (end.source > last.source && end.rich > last.rich) {
+        anchors.push(end);
+    }
+
+    return anchors;
+}
+
+// Map a scrollTop from one pane ('source' or 'rich') to the other
+export function mapScrollTop(anchors, from, to, scrollTop) {
+    // Last anchor at or above the scroll position
+    let low = 0;
+    let high = anchors.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (anchors[mid][from] <= scrollTop) low = mid;
+        else high = mid - 1;
+    }
+    const index = Math.min(low, Math.max(anchors.length - 2, 0));
+
+    const start = anchors[index];
+    const end = anchors[index + 1];
+    if (!end) return start[to];
+
+    const span = end[from] - start[from];
+    const ratio = span > 0 ? (scrollTop - start[from]) / span : 0;
+    return start[to] + Math.max(0, Math.min(1, ratio)) * (end[to] - start[to]);
+}
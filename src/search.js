@@ -0,0 +1,131 @@
+// Find and replace over the markdown source, with match highlights in
+// both panes: marks in CodeMirror, inline decorations in Milkdown.
+
+import { StateEffect, StateField } from '@codemirror/state';
+import { Decoration as CMDecoration, EditorView } from '@codemirror/view';
+import { Plugin, PluginKey } from '@milkdown/prose/state';
+import { Decoration, DecorationSet } from '@milkdown/prose/view';
+import { $prose } from '@milkdown/utils';
+
+// Stop collecting matches after this many
+const MATCH_LIMIT = 10000;
+
+// Build the regular expression for a search { query, caseSensitive,
+// wholeWord, regex }. Returns null for an empty query and throws a
+// SyntaxError for an invalid pattern.
+export function buildSearchRegExp(search) {
+    if (!search.query) return null;
+
+    let source = search.regex ? search.query : escapeRegExp(search.query);
+    let flags = 'gm';
+    if (!search.caseSensitive) flags += 'i';
+    if (search.wholeWord) {
+        source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+        flags += 'u';
+    }
+    return new RegExp(source, flags);
+}
+
+// All non-empty matches of a search in `text`: [{ from, to, groups }],
+// where `groups` is the RegExp match used to expand replacements
+export function findMatches(text, search) {
+    const re = buildSearchRegExp(search);
+    if (!re) return [];
+
+    const matches = [];
+    let match;
+    while (matches.length < MATCH_LIMIT && (match = re.exec(text))) {
+        if (!match[0].length) {
+            re.lastIndex++;
+            continue;
+        }
+        matches.push({ from: match.index, to: match.index + match[0].length, groups: match });
+    }
+    return matches;
+}
+
+// Replacement text for a match. Regex searches expand $&, $1..$99,
+// $<name> and $$ like String.prototype.replace().
+export function expandReplacement(match, replacement, search) {
+    if (!search.regex) return replacement;
+
+    const { groups } = match;
+    return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (all, token, name) => {
+        if (token === '$') return '$';
+        if (token === '&') return groups[0];
+        if (name !== undefined) {
+            return groups.groups && name in groups.groups ? groups.groups[name] ?? '' : all;
+        }
+        const index = Number(token);
+        return index > 0 && index < groups.length ? groups[index] ?? '' : all;
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// CodeMirror: effect carrying { matches, current } or null to clear
+export const setSearchMatches = StateEffect.define();
+
+const matchMark = CMDecoration.mark({ class: 'cm-search-match' });
+const currentMark = CMDecoration.mark({ class: 'cm-search-match cm-search-current' });
+
+export const searchMatchField = StateField.define({
+    create() {
+        return CMDecoration.none;
+    },
+    update(decorations, tr) {
+        decorations = decorations.map(tr.changes);
+
+        for (const effect of tr.effects) {
+            if (!effect.is(setSearchMatches)) continue;
+            if (!effect.value) {
+                decorations = CMDecoration.none;
+                continue;
+            }
+
+            const { matches, current } = effect.value;
+            decorations = CMDecoration.set(matches.map((match, index) => (
+                (index === current ? currentMark : matchMark).range(match.from, match.to)
+            )));
+        }
+
+        return decorations;
+    },
+    provide: (field) => EditorView.decorations.from(field)
+});
+
+// Milkdown: transaction meta carrying { ranges, current } with a document
+// range (or null) per match, or null to clear
+export const searchHighlightKey = new PluginKey('search-highlight');
+
+export const searchHighlightPlugin = $prose(() => new Plugin({
+    key: searchHighlightKey,
+    state: {
+        init() {
+            return DecorationSet.empty;
+        },
+        apply(tr, decorations) {
+            const value = tr.getMeta(searchHighlightKey);
+            if (value === undefined) {
+                return decorations.map(tr.mapping, tr.doc);
+            }
+            if (!value) return DecorationSet.empty;
+
+            // Matches inside markup have no range in the document
+            return DecorationSet.create(tr.doc, value.ranges.flatMap((range, index) => (
+                range
+                    ? [Decoration.inline(range.from, range.to, {
+                        class: index === value.current ? 'search-match search-current' : 'search-match'
+                    })]
+                    : []
+            )));
+        }
+    },
+    props: {
+        decorations(state) {
+            return searchHighlightKey.getState(state);
+        }
+    }
+}));
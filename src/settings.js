@@ -0,0 +1,100 @@
+// Editor preferences and the last layout, kept in localStorage so they
+// survive reloads, and the CodeMirror extensions showing the preferences.
+// The rich pane follows the theme through the `theme-light` and
+// `theme-dark` classes of the editor root, see styles.css.
+
+import { EditorView, lineNumbers, highlightActiveLineGutter } from '@codemirror/view';
+import { syntaxHighlighting, defaultHighlightStyle } from '@codemirror/language';
+import { oneDark } from '@codemirror/theme-one-dark';
+
+export const themes = ['light', 'dark', 'system'];
+
+// Valid values of every preference; the defaults are create() options
+const preferenceChecks = {
+    theme: (value) => themes.includes(value),
+    fontSize: (value) => Number.isInteger(value) && value >= 10 && value <= 32,
+    lineWrapping: (value) => typeof value === 'boolean',
+    lineNumbers: (value) => typeof value === 'boolean',
+    debounceDelay: (value) => Number.isInteger(value) && value >= 0 && value <= 5000,
+    scrollSync: (value) => typeof value === 'boolean'
+};
+
+export const preferenceNames = Object.keys(preferenceChecks);
+
+export function isValidPreference(name, value) {
+    return preferenceNames.includes(name) && preferenceChecks[name](value);
+}
+
+// Stored values that are still valid, the defaults for the others
+export function normalizePreferences(stored, defaults) {
+    const preferences = {};
+    for (const name of preferenceNames) {
+        const value = stored ? stored[name] : undefined;
+        preferences[name] = isValidPreference(name, value) ? value : defaults[name];
+    }
+    return preferences;
+}
+
+// Layout: the visible panes, the width of the source pane in split mode
+// in percent (null for half) and which sidebars are open
+export function normalizeLayout(stored, defaults, modes) {
+    const layout = { ...defaults };
+    if (!stored) return layout;
+
+    if (modes.includes(stored.mode)) layout.mode = stored.mode;
+    if (typeof stored.split === 'number' && stored.split >= 10 && stored.split <= 90) layout.split = stored.split;
+    if (typeof stored.sidebar === 'boolean') layout.sidebar = stored.sidebar;
+    if (typeof stored.outline === 'boolean') layout.outline = stored.outline;
+    return layout;
+}
+
+// { preferences, layout } stored under `key`, either may be missing
+export function loadSettings(key) {
+    try {
+        const settings = JSON.parse(localStorage.getItem(key));
+        return settings && typeof settings === 'object' ? settings : {};
+    } catch (error) {
+        console.warn('Could not load the editor settings:', error);
+        return {};
+    }
+}
+
+export function saveSettings(key, settings) {
+    try {
+        localStorage.setItem(key, JSON.stringify(settings));
+    } catch (error) {
+        // Storage may be full or disabled; the settings last for the session
+        console.warn('Could not save the editor settings:', error);
+    }
+}
+
+// 'light' or 'dark'; 'system' follows the color scheme of the OS
+export function resolveTheme(theme) {
+    if (theme !== 'system') return theme;
+    const query = systemColorScheme();
+    return query && query.matches ? 'dark' : 'light';
+}
+
+// Media query of the OS color scheme, or null where there is none
+export function systemColorScheme() {
+    return typeof matchMedia === 'function' ? matchMedia('(prefers-color-scheme: dark)') : null;
+}
+
+const lightTheme = EditorView.theme({
+    '&': { backgroundColor: '#ffffff', color: '#1f2937' },
+    '.cm-content': { caretColor: '#1f2937' },
+    '.cm-gutters': { backgroundColor: '#f9fafb', color: '#9ca3af', borderRight: '1px solid #e5e7eb' },
+    '.cm-activeLine': { backgroundColor: '#f3f4f680' },
+    '.cm-activeLineGutter': { backgroundColor: '#f3f4f6', color: '#4b5563' }
+}, { dark: false });
+
+// CodeMirror extensions of the preferences, in a compartment of the
+// source pane so they can change at runtime
+export function codemirrorPreferences(preferences) {
+    const dark = resolveTheme(preferences.theme) === 'dark';
+    return [
+        preferences.lineNumbers ? [lineNumbers(), highlightActiveLineGutter()] : [],
+        dark ? oneDark : [lightTheme, syntaxHighlighting(defaultHighlightStyle)],
+        preferences.lineWrapping ? EditorView.lineWrapping : []
+    ];
+}
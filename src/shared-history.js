@@ -0,0 +1,69 @@
+// Undo history shared by both panes.
+//
+// Entries are recorded in markdown space, one per sync of the panes, so a
+// logical edit is the same step whichever pane it was made in. Each entry
+// stores the change and its inverse as { from, to, insert } specs.
+
+import { diffText } from './diff.js';
+
+export function createSharedHistory(options = {}) {
+    const depth = options.depth ?? 500;
+    let done = [];
+    let undone = [];
+
+    // Record the edit that turned `before` into `after`
+    function record(before, after) {
+        const change = diffText(before, after);
+        if (!change) return;
+
+        done.push({
+            change,
+            inverse: {
+                from: change.from,
+                to: change.from + change.insert.length,
+                insert: before.slice(change.from, change.to)
+            }
+        });
+        if (done.length > depth) done.shift();
+        undone = [];
+    }
+
+    // Revert the last edit of `markdown`. Returns { markdown, cursor } or
+    // null when there is nothing to undo.
+    function undo(markdown) {
+        const entry = done.pop();
+        if (!entry) return null;
+
+        undone.push(entry);
+        return apply(markdown, entry.inverse);
+    }
+
+    function redo(markdown) {
+        const entry = undone.pop();
+        if (!entry) return null;
+
+        done.push(entry);
+        return apply(markdown, entry.change);
+    }
+
+    function clear() {
+        done = [];
+        undone = [];
+    }
+
+    return {
+        record,
+        undo,
+        redo,
+        clear,
+        canUndo: () => done.length > 0,
+        canRedo: () => undone.length > 0
+    };
+}
+
+function apply(markdown, spec) {
+    return {
+        markdown: markdown.slice(0, spec.from) + spec.insert + markdown.slice(spec.to),
+        cursor: spec.from + spec.insert.length
+    };
+}
@@ -0,0 +1,146 @@
+// Slash menu of the rich pane: typing `/` at the start of a paragraph or
+// after a space lists the blocks that can be inserted, filtered by the
+// text typed after it. The arrow keys move through the items, Enter or
+// Tab inserts one and Escape closes the menu.
+
+import { commandsCtx } from '@milkdown/core';
+import { SlashProvider, slashFactory } from '@milkdown/plugin-slash';
+import {
+    wrapInHeadingCommand,
+    wrapInBulletListCommand,
+    wrapInOrderedListCommand,
+    createCodeBlockCommand,
+    wrapInBlockquoteCommand,
+    addBlockTypeCommand,
+    hrSchema
+} from '@milkdown/preset-commonmark';
+import { insertTableCommand } from '@milkdown/preset-gfm';
+
+export const slashMenu = slashFactory('slash-menu');
+
+const items = [
+    { label: 'Heading 1', keywords: 'h1 title', command: wrapInHeadingCommand, payload: 1 },
+    { label: 'Heading 2', keywords: 'h2', command: wrapInHeadingCommand, payload: 2 },
+    { label: 'Heading 3', keywords: 'h3', command: wrapInHeadingCommand, payload: 3 },
+    { label: 'Bullet list', keywords: 'ul unordered', command: wrapInBulletListCommand },
+    { label: 'Numbered list', keywords: 'ol ordered', command: wrapInOrderedListCommand },
+    { label: 'Table', keywords: 'grid', command: insertTableCommand, payload: { row: 3, col: 3 } },
+    { label: 'Code block', keywords: 'pre fence', command: createCodeBlockCommand },
+    { label: 'Quote', keywords: 'blockquote', command: wrapInBlockquoteCommand },
+    // Replaces an empty paragraph, or goes before the paragraph
+    { label: 'Divider', keywords: 'hr rule line', command: addBlockTypeCommand, payload: (ctx) => ({ nodeType: hrSchema.type(ctx) }) }
+];
+
+// Text typed after the slash before the cursor
+const QUERY = /(?:^|\s)\/([\w-]*)$/;
+
+// Called from Editor.config()
+export function configureSlashMenu(ctx) {
+    let menu = null;
+
+    ctx.set(slashMenu.key, {
+        view: (view) => (menu = createMenu(ctx, view)),
+        props: {
+            // Runs before the editor's own keymaps while the menu is open
+            handleKeyDown: (view, event) => !!menu && menu.handleKey(event)
+        }
+    });
+}
+
+function createMenu(ctx, view) {
+    const element = document.createElement('div');
+    element.className = 'slash-menu';
+    element.setAttribute('role', 'listbox');
+
+    let matches = [];
+    let selected = 0;
+    let dismissed = null; // Cursor position at which Escape closed the menu
+
+    const provider = new SlashProvider({
+        content: element,
+        debounce: 50,
+        shouldShow(view) {
+            const query = currentQuery(view);
+            if (query === null || view.state.selection.from === dismissed) return false;
+
+            const text = query.toLowerCase();
+            matches = items.filter((item) => `${item.label} ${item.keywords}`.toLowerCase().includes(text));
+            selected = 0;
+            render();
+            return matches.length > 0;
+        }
+    });
+
+    function currentQuery(view) {
+        const match = QUERY.exec(provider.getContent(view) ?? '');
+        return match ? match[1] : null;
+    }
+
+    function render() {
+        element.replaceChildren(...matches.map((item, index) => {
+            const option = document.createElement('button');
+            option.className = 'slash-item';
+            option.type = 'button';
+            option.tabIndex = -1;
+            option.textContent = item.label;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(index === selected));
+            option.classList.toggle('selected', index === selected);
+
+            // Keep the focus and the selection in the editor
+            option.addEventListener('mousedown', (e) => e.preventDefault());
+            option.addEventListener('click', () => run(item));
+            return option;
+        }));
+
+        const current = element.children[selected];
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Replace the slash and the query with the item's block
+    function run(item) {
+        const query = currentQuery(view);
+        provider.hide();
+        if (query === null) return;
+
+        const { from } = view.state.selection;
+        view.dispatch(view.state.tr.delete(from - query.length - 1, from));
+        const payload = typeof item.payload === 'function' ? item.payload(ctx) : item.payload;
+        ctx.get(commandsCtx).call(item.command.key, payload);
+        view.focus();
+    }
+
+    function handleKey(event) {
+        if (element.dataset.show !== 'true' || !matches.length) return false;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                selected = (selected + 1) % matches.length;
+                render();
+                return true;
+            case 'ArrowUp':
+                selected = (selected - 1 + matches.length) % matches.length;
+                render();
+                return true;
+            case 'Enter':
+            case 'Tab':
+                run(matches[selected]);
+                return true;
+            case 'Escape':
+                dismissed = view.state.selection.from;
+                provider.hide();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    return {
+        handleKey,
+        update: (view, prevState) => provider.update(view, prevState),
+        destroy() {
+            provider.destroy();
+            element.remove();
+        }
+    };
+}
@@ -0,0 +1,61 @@
+// Small promise wrapper around the editor's IndexedDB database.
+
+const DB_NAME = 'md-editor';
+const DB_VERSION = 1;
+
+// Object stores, all keyed by `id`
+const STORES = ['documents', 'sessions', 'assets'];
+
+let dbPromise = null;
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+export function openDatabase() {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            for (const name of STORES) {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, { keyPath: 'id' });
+                }
+            }
+        };
+        dbPromise = request(req).catch((error) => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(name, mode, fn) {
+    const db = await openDatabase();
+    const tx = db.transaction(name, mode);
+    return request(fn(tx.objectStore(name)));
+}
+
+export function getRecord(store, id) {
+    return withStore(store, 'readonly', (s) => s.get(id));
+}
+
+export function getAllRecords(store) {
+    return withStore(store, 'readonly', (s) => s.getAll());
+}
+
+export function putRecord(store, record) {
+    return withStore(store, 'readwrite', (s) => s.put(record));
+}
+
+export function deleteRecord(store, id) {
+    return withStore(store, 'readwrite', (s) => s.delete(id));
+}
@@ -0,0 +1,46 @@
+// Markers that tell edits applied by the sync layer apart from edits made
+// by the user, in both editors.
+
+import { Annotation } from '@codemirror/state';
+import { Plugin, PluginKey } from '@milkdown/prose/state';
+import { $prose } from '@milkdown/utils';
+
+// CodeMirror: annotate transactions dispatched by the sync layer
+export const syncAnnotation = Annotation.define();
+
+export function isSyncUpdate(update) {
+    return update.transactions.some((tr) => tr.annotation(syncAnnotation));
+}
+
+// Milkdown: set this meta on transactions dispatched by the sync layer
+export const syncMetaKey = new PluginKey('sync');
+
+// Calls onLocalChange() after every user edit of the Milkdown document.
+// The plugin state counts local edits; the view compares counts so the
+// callback runs once the view is up to date. Transactions dispatched while
+// isSyncing() is true, such as those plugins add in reaction to a sync,
+// are not user edits.
+export function localChangePlugin(onLocalChange, isSyncing = () => false) {
+    const key = new PluginKey('local-change');
+
+    return $prose(() => new Plugin({
+        key,
+        state: {
+            init() {
+                return 0;
+            },
+            apply(tr, count) {
+                return tr.docChanged && !tr.getMeta(syncMetaKey) && !isSyncing() ? count + 1 : count;
+            }
+        },
+        view() {
+            return {
+                update(view, prevState) {
+                    if (key.getState(view.state) !== key.getState(prevState)) {
+                        onLocalChange();
+                    }
+                }
+            };
+        }
+    }));
+}
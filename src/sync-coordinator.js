@@ -0,0 +1,230 @@
+// Coordinates syncing between the source and rich panes.
+//
+// Every local edit bumps the version of its side and (re)starts that
+// side's debounce timer. When a timer fires, all sides with unsynced
+// versions are flushed together: a single dirty side is pushed to the
+// other one, two dirty sides are merged against the markdown both panes
+// last agreed on. Overlapping edits are reported as a conflict and syncing
+// pauses until resolve() is called, so neither side's edits are dropped.
+
+import { diffText } from './diff.js';
+
+// Merge two edited versions of `base`. Returns { markdown } on success or
+// { conflict: { from, to, sourceLines, richLines } } with the contended
+// lines of `base` and both versions of them.
+export function mergeChanges(base, source, rich) {
+    const sourceChange = diffText(base, source);
+    const richChange = diffText(base, rich);
+
+    if (!sourceChange) return { markdown: rich };
+    if (!richChange || source === rich) return { markdown: source };
+
+    // Disjoint edits: apply the later one first so offsets stay valid
+    if (sourceChange.to < richChange.from || richChange.to < sourceChange.from) {
+        const [first, second] = sourceChange.from < richChange.from
+            ? [sourceChange, richChange]
+            : [richChange, sourceChange];
+        const markdown = applyChange(applyChange(base, second), first);
+        return { markdown };
+    }
+
+    // Overlapping edits: report whole lines of both versions
+    const from = lineStart(base, Math.min(sourceChange.from, richChange.from));
+    const to = lineEnd(base, Math.max(sourceChange.to, richChange.to));
+
+    return {
+        conflict: {
+            from,
+            to,
+            sourceLines: regionText(base, from, to, sourceChange),
+            richLines: regionText(base, from, to, richChange)
+        }
+    };
+}
+
+function applyChange(text, change) {
+    return text.slice(0, change.from) + change.insert + text.slice(change.to);
+}
+
+function lineStart(text, offset) {
+    return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function lineEnd(text, offset) {
+    const end = text.indexOf('\n', offset);
+    return end === -1 ? text.length : end;
+}
+
+// Text of base[from, to) after applying `change`, which lies inside it
+function regionText(base, from, to, change) {
+    return base.slice(from, change.from) + change.insert + base.slice(change.to, to);
+}
+
+// Create a coordinator. `panes` provides:
+//   readSource() / readRich()        current markdown of each pane
+//   applyToSource(md) / applyToRich(md)  replace a pane's content
+//   onStateChange(state, detail)     'pending' | 'synced' | 'conflict' | 'error'
+//   onSynced(markdown, previous)     after both panes agree on new content
+export function createSyncCoordinator(panes, options = {}) {
+    const versions = { source: 0, rich: 0 };
+    const synced = { source: 0, rich: 0 };
+    const timers = { source: null, rich: null };
+
+    // Markdown both panes agreed on at the last sync
+    let base = panes.readSource();
+    let state = 'synced';
+    let conflict = null;
+
+    const coordinator = {
+        delay: options.delay ?? 300,
+
+        get state() {
+            return state;
+        },
+
+        get conflict() {
+            return conflict;
+        },
+
+        get base() {
+            return base;
+        },
+
+        isDirty,
+        isPending,
+        localChange,
+        flush,
+        replace,
+        resolve,
+        cancel: clearTimers
+    };
+
+    function setState(next, detail) {
+        state = next;
+        panes.onStateChange(next, detail);
+    }
+
+    function isDirty(side) {
+        return versions[side] > synced[side];
+    }
+
+    // True while the panes may not match
+    function isPending() {
+        return isDirty('source') || isDirty('rich') || state === 'conflict';
+    }
+
+    function clearTimers() {
+        clearTimeout(timers.source);
+        clearTimeout(timers.rich);
+        timers.source = null;
+        timers.rich = null;
+    }
+
+    // Record an edit made by the user in one pane
+    function localChange(side) {
+        versions[side]++;
+
+        // Further edits wait until the conflict is resolved
+        if (state === 'conflict') return;
+
+        clearTimeout(timers[side]);
+        timers[side] = setTimeout(flush, coordinator.delay);
+        setState('pending', { side });
+    }
+
+    // Sync every dirty side now. Returns false if a conflict blocks syncing.
+    function flush() {
+        clearTimers();
+        if (state === 'conflict') return false;
+
+        const sourceDirty = isDirty('source');
+        const richDirty = isDirty('rich');
+        if (!sourceDirty && !richDirty) return true;
+
+        const pendingVersions = { ...versions };
+        const source = sourceDirty ? panes.readSource() : base;
+        const rich = richDirty ? panes.readRich() : base;
+
+        let markdown;
+        if (sourceDirty && richDirty) {
+            const result = mergeChanges(base, source, rich);
+            if (result.conflict) {
+                conflict = { base, source, rich, ...result.conflict };
+                setState('conflict', conflict);
+                return false;
+            }
+            markdown = result.markdown;
+        } else {
+            markdown = sourceDirty ? source : rich;
+        }
+
+        try {
+            if (markdown !== source) panes.applyToSource(markdown);
+            if (markdown !== rich) panes.applyToRich(markdown);
+        } catch (error) {
+            setState('error', error);
+            return false;
+        }
+
+        // Edits can cancel out before they are flushed
+        const previous = base;
+
+        base = markdown;
+        Object.assign(synced, pendingVersions);
+        // Edits made while the panes were updated wait for their own flush
+        setState(isDirty('source') || isDirty('rich') ? 'pending' : 'synced');
+        if (markdown !== previous) panes.onSynced(markdown, previous);
+        return true;
+    }
+
+    // Put the same markdown into both panes, discarding pending syncs
+    function replace(markdown) {
+        clearTimers();
+
+        try {
+            if (markdown !== panes.readSource()) panes.applyToSource(markdown);
+            panes.applyToRich(markdown);
+        } catch (error) {
+            setState('error', error);
+            return;
+        }
+
+        base = markdown;
+        conflict = null;
+        Object.assign(synced, versions);
+        setState('synced');
+    }
+
+    // Resolve a conflict by keeping the 'source' pane, the 'rich' pane
+    // or 'both' versions of the contended lines. Uses the panes' current
+    // content, so edits made while the conflict was shown are kept.
+    function resolve(choice) {
+        if (state !== 'conflict') return;
+
+        const source = panes.readSource();
+        const rich = panes.readRich();
+
+        let markdown;
+        if (choice === 'source') {
+            markdown = source;
+        } else if (choice === 'rich') {
+            markdown = rich;
+        } else if (choice === 'both') {
+            const result = mergeChanges(base, source, rich);
+            markdown = result.conflict
+                ? base.slice(0, result.conflict.from)
+                    + `${result.conflict.sourceLines}\n\n${result.conflict.richLines}`
+                    + base.slice(result.conflict.to)
+                : result.markdown;
+        } else {
+            throw new Error(`Unknown conflict resolution: ${choice}`);
+        }
+
+        const previous = base;
+        replace(markdown);
+        panes.onSynced(markdown, previous);
+    }
+
+    return coordinator;
+}
+
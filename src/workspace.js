@@ -0,0 +1,87 @@
+// Documents of a local workspace, persisted in IndexedDB.
+//
+// A document is stored as { id, workspace, name, markdown, savedMarkdown,
+// updatedAt }, where `savedMarkdown` is the content last opened from or
+// saved to a file. In memory a document also carries its own undo history,
+// selection and scroll position, which live as long as the page.
+// The tabs open in a workspace are stored as its session.
+
+import { getAllRecords, getRecord, putRecord, deleteRecord } from './storage.js';
+import { createSharedHistory } from './shared-history.js';
+
+export function createDocument(name, markdown, savedMarkdown = markdown) {
+    return {
+        id: createId(),
+        name,
+        markdown,
+        savedMarkdown,
+        updatedAt: Date.now(),
+        persisted: false, // Stored in IndexedDB
+        history: createSharedHistory(),
+        selection: null, // { anchor, head } in the source
+        scroll: null // { source, rich }, see storeDocumentState() in main.js
+    };
+}
+
+function createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+// Whether a document differs from its file. The active document's
+// `markdown` is only current after it was stored from the panes.
+export function isModified(doc) {
+    return doc.markdown !== doc.savedMarkdown;
+}
+
+// Load the documents and the session of a workspace
+export async function loadWorkspace(workspace) {
+    const records = await getAllRecords('documents');
+    const session = await getRecord('sessions', workspace);
+
+    const documents = records
+        .filter((record) => record.workspace === workspace)
+        .map((record) => ({
+            ...createDocument(record.name, record.markdown, record.savedMarkdown),
+            id: record.id,
+            updatedAt: record.updatedAt,
+            persisted: true
+        }));
+
+    return { documents, session: session || null };
+}
+
+export function saveDocument(workspace, doc) {
+    doc.persisted = true;
+    return putRecord('documents', {
+        id: doc.id,
+        workspace,
+        name: doc.name,
+        markdown: doc.markdown,
+        savedMarkdown: doc.savedMarkdown,
+        updatedAt: doc.updatedAt
+    });
+}
+
+export function removeDocument(doc) {
+    doc.persisted = false;
+    return deleteRecord('documents', doc.id);
+}
+
+export function saveSession(workspace, openIds, activeId) {
+    return putRecord('sessions', { id: workspace, openIds, activeId });
+}
+
+// `name`, or a numbered variant of it no other document uses
+export function uniqueName(documents, name) {
+    const names = new Set(documents.map((doc) => doc.name));
+    if (!names.has(name)) return name;
+
+    const dot = name.lastIndexOf('.');
+    const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    let n = 2;
+    while (names.has(`${stem}-${n}${ext}`)) n++;
+    return `${stem}-${n}${ext}`;
+}